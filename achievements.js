@@ -0,0 +1,134 @@
+// Achievement engine for Stack Memory Game
+// Evaluates the declarative achievement definitions from data.json
+
+class AchievementEngine {
+    constructor(definitions = [], storageKey = 'stackMemoryAchievements', bankKey = 'stackMemoryAchievementBank') {
+        this.definitions = Array.isArray(definitions) ? definitions : [];
+        this.storageKey = storageKey;
+        this.bankKey = bankKey; // Rewards earned outside a game, per player, until their next completed game
+    }
+
+    // Supported comparison operators for achievement conditions
+    static get OPERATORS() {
+        return {
+            '>=': (a, b) => a >= b,
+            '>': (a, b) => a > b,
+            '<=': (a, b) => a <= b,
+            '<': (a, b) => a < b,
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b
+        };
+    }
+
+    // Read a stat value, allowing dotted paths like "operations.clear"
+    getStatValue(stats, path) {
+        return String(path).split('.').reduce((value, key) => {
+            return value !== undefined && value !== null ? value[key] : undefined;
+        }, stats);
+    }
+
+    // Check a single condition against the current stats
+    checkCondition(condition, stats) {
+        const compare = AchievementEngine.OPERATORS[condition.op || '>='];
+        if (!compare) {
+            console.warn(`Unknown achievement operator: ${condition.op}`);
+            return false;
+        }
+
+        const value = this.getStatValue(stats, condition.stat);
+        if (value === undefined) {
+            return false;
+        }
+
+        // Booleans compare as 1/0 so "operations.clear >= 1" works
+        const actual = typeof value === 'boolean' ? Number(value) : value;
+        return compare(actual, condition.value);
+    }
+
+    // Check whether every condition of an achievement holds
+    isSatisfied(achievement, stats) {
+        const conditions = achievement.conditions || [];
+        if (conditions.length === 0) {
+            return false;
+        }
+        return conditions.every(condition => this.checkCondition(condition, stats));
+    }
+
+    // Load unlocked achievements for every player
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read achievements, starting fresh:', error);
+            return {};
+        }
+    }
+
+    // Get unlocked achievements for one player ({ id: unlockedAt })
+    getUnlocked(playerName) {
+        return this.loadAll()[playerName] || {};
+    }
+
+    // Check if a player already has an achievement
+    isUnlocked(playerName, achievementId) {
+        return Boolean(this.getUnlocked(playerName)[achievementId]);
+    }
+
+    // Evaluate definitions for a trigger and unlock any newly earned ones
+    evaluate(trigger, stats, playerName) {
+        const all = this.loadAll();
+        const unlocked = all[playerName] || {};
+        const newlyUnlocked = [];
+
+        this.definitions.forEach(achievement => {
+            const achievementTrigger = achievement.trigger || 'gameComplete';
+            if (achievementTrigger !== trigger || unlocked[achievement.id]) {
+                return;
+            }
+
+            if (this.isSatisfied(achievement, stats)) {
+                unlocked[achievement.id] = new Date().toISOString();
+                newlyUnlocked.push(achievement);
+            }
+        });
+
+        if (newlyUnlocked.length > 0) {
+            all[playerName] = unlocked;
+            localStorage.setItem(this.storageKey, JSON.stringify(all));
+            console.log(`Unlocked achievements for ${playerName}:`, newlyUnlocked.map(a => a.id));
+        }
+
+        return newlyUnlocked;
+    }
+
+    // Load banked rewards for every player ({ playerName: points })
+    loadBank() {
+        try {
+            return JSON.parse(localStorage.getItem(this.bankKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read banked achievement rewards, starting fresh:', error);
+            return {};
+        }
+    }
+
+    // Keep a reward for the player's next completed game
+    bankReward(playerName, points) {
+        const bank = this.loadBank();
+        bank[playerName] = (bank[playerName] || 0) + points;
+        localStorage.setItem(this.bankKey, JSON.stringify(bank));
+    }
+
+    // Pay out and clear a player's banked rewards
+    takeBankedRewards(playerName) {
+        const bank = this.loadBank();
+        const points = bank[playerName] || 0;
+        delete bank[playerName];
+        localStorage.setItem(this.bankKey, JSON.stringify(bank));
+        return points;
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementEngine;
+}
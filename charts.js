@@ -0,0 +1,70 @@
+// Simple SVG charts for the Stack Memory Game stats dashboard
+// Each chart is returned as SVG markup that scales to its container
+
+class SvgChart {
+    // Escape text for use inside SVG markup (labels can come from custom decks)
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Horizontal bar chart of items [{ label, value }]
+    static bar(items, { title = '', formatValue = value => value, maxValue = null, color = '#FFC107' } = {}) {
+        const rowHeight = 22;
+        const labelWidth = 110;
+        const barWidth = 170;
+        const width = labelWidth + barWidth + 60;
+        const height = Math.max(1, items.length) * rowHeight + 8;
+        const max = maxValue || Math.max(1, ...items.map(item => item.value));
+
+        const rows = items.map((item, index) => {
+            const y = index * rowHeight + 4;
+            const length = Math.round((Math.max(0, item.value) / max) * barWidth);
+            return `
+                <text x="${labelWidth - 6}" y="${y + 14}" text-anchor="end" class="chart-label">${SvgChart.escape(item.label)}</text>
+                <rect x="${labelWidth}" y="${y + 3}" width="${length}" height="${rowHeight - 8}" fill="${color}" rx="2"></rect>
+                <text x="${labelWidth + length + 6}" y="${y + 14}" class="chart-value">${SvgChart.escape(formatValue(item.value))}</text>
+            `;
+        }).join('');
+
+        const empty = items.length === 0
+            ? `<text x="${width / 2}" y="18" text-anchor="middle" class="chart-label">No data yet</text>`
+            : '';
+
+        return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${SvgChart.escape(title)}">${rows}${empty}</svg>`;
+    }
+
+    // Line chart of values in order (oldest first)
+    static line(values, { title = '', color = '#4CAF50' } = {}) {
+        const width = 340;
+        const height = 120;
+        const padding = 24;
+
+        if (values.length === 0) {
+            return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${SvgChart.escape(title)}">
+                <text x="${width / 2}" y="${height / 2}" text-anchor="middle" class="chart-label">No data yet</text>
+            </svg>`;
+        }
+
+        const max = Math.max(1, ...values);
+        const stepX = values.length > 1 ? (width - padding * 2) / (values.length - 1) : 0;
+        const points = values.map((value, index) => {
+            const x = values.length > 1 ? padding + index * stepX : width / 2;
+            const y = height - padding - (value / max) * (height - padding * 2);
+            return [Math.round(x), Math.round(y)];
+        });
+
+        const path = points.map(([x, y]) => `${x},${y}`).join(' ');
+        const dots = points.map(([x, y]) => `<circle cx="${x}" cy="${y}" r="3" fill="${color}"></circle>`).join('');
+
+        return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${SvgChart.escape(title)}">
+            <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="chart-axis"></line>
+            <text x="${padding}" y="${padding - 8}" class="chart-value">${max}</text>
+            <polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"></polyline>
+            ${dots}
+        </svg>`;
+    }
+}
@@ -0,0 +1,135 @@
+// Container modes for Stack Memory Game
+// The card container can behave as a Stack (LIFO), Queue (FIFO) or Deque; index 0 is the front/bottom
+
+class CardContainer {
+    // Operations of each mode: kind is add, remove or peek; end is the side it works on
+    static get MODES() {
+        return {
+            stack: {
+                name: 'Stack',
+                order: 'LIFO',
+                operations: [
+                    { id: 'push', label: 'PUSH CARD', kind: 'add', end: 'back', buttonId: 'push-card-btn' },
+                    { id: 'pop', label: 'POP CARD', kind: 'remove', end: 'back', buttonId: 'pop-card-btn' },
+                    { id: 'peek', label: 'PEEK STACK', kind: 'peek', end: 'back', buttonId: 'peek-stack-btn' }
+                ]
+            },
+            queue: {
+                name: 'Queue',
+                order: 'FIFO',
+                operations: [
+                    { id: 'enqueue', label: 'ENQUEUE', kind: 'add', end: 'back' },
+                    { id: 'dequeue', label: 'DEQUEUE', kind: 'remove', end: 'front' },
+                    { id: 'front', label: 'FRONT', kind: 'peek', end: 'front' }
+                ]
+            },
+            deque: {
+                name: 'Deque',
+                order: 'DOUBLE-ENDED',
+                operations: [
+                    { id: 'pushFront', label: 'PUSH FRONT', kind: 'add', end: 'front' },
+                    { id: 'pushBack', label: 'PUSH BACK', kind: 'add', end: 'back' },
+                    { id: 'popFront', label: 'POP FRONT', kind: 'remove', end: 'front' },
+                    { id: 'popBack', label: 'POP BACK', kind: 'remove', end: 'back' },
+                    { id: 'peekFront', label: 'PEEK FRONT', kind: 'peek', end: 'front' },
+                    { id: 'peekBack', label: 'PEEK BACK', kind: 'peek', end: 'back' }
+                ]
+            }
+        };
+    }
+
+    // Whole-container operations that work the same in every mode
+    static get REORDERS() {
+        return [
+            { id: 'reverse', label: 'REVERSE', kind: 'reorder' },
+            { id: 'sortByPoints', label: 'SORT BY POINTS', kind: 'reorder' },
+            { id: 'shuffle', label: 'SHUFFLE', kind: 'reorder' }
+        ];
+    }
+
+    static get DEFAULT_MODE() {
+        return 'stack';
+    }
+
+    static getMode(mode) {
+        return CardContainer.MODES[mode] || CardContainer.MODES[CardContainer.DEFAULT_MODE];
+    }
+
+    // Find an operation of a mode by id
+    static getOperation(mode, operationId) {
+        return CardContainer.getMode(mode).operations.find(operation => operation.id === operationId) || null;
+    }
+
+    // Default operation of a kind (used by RANDOM PUSH and undo labels)
+    static getDefaultOperation(mode, kind) {
+        return CardContainer.getMode(mode).operations.find(operation => operation.kind === kind);
+    }
+
+    // Every operation id across all modes, plus clear
+    static getAllOperationIds() {
+        const ids = Object.values(CardContainer.MODES)
+            .flatMap(mode => mode.operations.map(operation => operation.id));
+        return [...new Set(ids), 'clear'];
+    }
+
+    // Insert a card at one end
+    static insert(items, item, end) {
+        if (end === 'front') {
+            items.unshift(item);
+        } else {
+            items.push(item);
+        }
+    }
+
+    // Remove and return the card at one end
+    static remove(items, end) {
+        return end === 'front' ? items.shift() : items.pop();
+    }
+
+    // Card at one end without removing it
+    static peek(items, end) {
+        return end === 'front' ? items[0] : items[items.length - 1];
+    }
+
+    // Reordered copy of the items; sorting puts the highest points at the top/back, shuffling uses rng
+    static reorder(items, reorderId, rng) {
+        const reordered = [...items];
+        if (reorderId === 'reverse') {
+            return reordered.reverse();
+        }
+        if (reorderId === 'sortByPoints') {
+            return reordered.sort((a, b) => a.points - b.points);
+        }
+        if (reorderId === 'shuffle') {
+            for (let i = reordered.length - 1; i > 0; i--) {
+                const j = rng.nextInt(i + 1);
+                [reordered[i], reordered[j]] = [reordered[j], reordered[i]];
+            }
+            return reordered;
+        }
+        return null;
+    }
+
+    // Display order (first shown first) and label for each position
+    static getDisplayOrder(mode, size) {
+        const indexes = [...Array(size).keys()];
+        if (mode === 'stack') {
+            return indexes.reverse().map(index => ({
+                index,
+                label: index === size - 1 ? 'TOP' : String(index + 1)
+            }));
+        }
+
+        return indexes.map(index => {
+            let label = String(index + 1);
+            if (index === 0) label = 'FRONT';
+            else if (index === size - 1) label = 'BACK';
+            return { index, label };
+        });
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CardContainer;
+}
@@ -0,0 +1,136 @@
+// Daily challenge for Stack Memory Game
+// Each local date deterministically picks a stack, a mode and a deal; players get one scored attempt a day
+
+class DailyChallenge {
+    constructor(storageKey = 'stackMemoryDaily', maxResults = 60) {
+        this.storageKey = storageKey;
+        this.maxResults = maxResults; // Daily results kept per player
+    }
+
+    // Local date as YYYY-MM-DD (the challenge changes at local midnight)
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Date key of the day before
+    static getPreviousDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return DailyChallenge.getDateKey(new Date(year, month - 1, day - 1));
+    }
+
+    // 32-bit seed from a date key (FNV-1a hash)
+    static getSeed(dateKey) {
+        let hash = 0x811C9DC5;
+        for (const char of `daily:${dateKey}`) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // The challenge of a date: { dateKey, seed, mode, cards } drawn from the given deck
+    static build(dateKey, deck, { minPairs = 2, maxPairs = 24 } = {}) {
+        const seed = DailyChallenge.getSeed(dateKey);
+        const rng = new SeededRandom(seed);
+
+        const mode = GameEngine.MODES[rng.nextInt(GameEngine.MODES.length)];
+        const upper = Math.min(maxPairs, deck.length, 10);
+        const lower = Math.min(Math.max(minPairs, 6), upper);
+        const pairCount = lower + rng.nextInt(upper - lower + 1);
+
+        // Partial Fisher-Yates shuffle of the deck picks the cards
+        const pool = [...deck];
+        for (let i = 0; i < pairCount; i++) {
+            const j = i + rng.nextInt(pool.length - i);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const cards = pool.slice(0, pairCount).map(card => ({
+            ...card,
+            stackId: rng.nextInt(0x100000000),
+            timestamp: `${dateKey}T00:00:00.000Z`
+        }));
+
+        return { dateKey, seed, mode, cards };
+    }
+
+    // Load every player's daily record
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read daily challenges, starting fresh:', error);
+            return {};
+        }
+    }
+
+    saveAll(records) {
+        localStorage.setItem(this.storageKey, JSON.stringify(records));
+    }
+
+    // A player's record: results by date, streaks and best result
+    getRecord(player) {
+        return {
+            results: {},
+            streak: 0,
+            bestStreak: 0,
+            lastCompleted: null,
+            best: null,
+            ...(this.loadAll()[player] || {})
+        };
+    }
+
+    // Result of a player's attempt on a date (null if not attempted)
+    getResult(player, dateKey) {
+        return this.getRecord(player).results[dateKey] || null;
+    }
+
+    // Apply a change to one player's record and save it
+    updateRecord(player, update) {
+        const records = this.loadAll();
+        const record = { ...this.getRecord(player) };
+        update(record);
+
+        const dates = Object.keys(record.results).sort();
+        dates.slice(0, -this.maxResults).forEach(dateKey => delete record.results[dateKey]);
+
+        records[player] = record;
+        this.saveAll(records);
+    }
+
+    // Use up the day's attempt when the game starts (a reset or reload does not give another)
+    startAttempt(player, dateKey, mode) {
+        this.updateRecord(player, record => {
+            record.results[dateKey] = { mode, completed: false, score: 0, moves: 0, time: 0 };
+        });
+    }
+
+    // Record how the attempt ended; completed challenges extend the streak
+    finishAttempt(player, dateKey, { completed, score, moves, time }) {
+        this.updateRecord(player, record => {
+            const result = record.results[dateKey] || {};
+            record.results[dateKey] = { ...result, completed, score, moves, time };
+            if (!completed || record.lastCompleted === dateKey) return;
+
+            record.streak = record.lastCompleted === DailyChallenge.getPreviousDateKey(dateKey) ? record.streak + 1 : 1;
+            record.bestStreak = Math.max(record.bestStreak, record.streak);
+            record.lastCompleted = dateKey;
+            if (!record.best || score > record.best.score) {
+                record.best = { dateKey, score, moves, time };
+            }
+        });
+    }
+
+    // Current streak as of a date (broken if neither that day nor the day before was completed)
+    getStreak(player, dateKey = DailyChallenge.getDateKey()) {
+        const record = this.getRecord(player);
+        const alive = record.lastCompleted === dateKey || record.lastCompleted === DailyChallenge.getPreviousDateKey(dateKey);
+        return alive ? record.streak : 0;
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+}
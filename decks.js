@@ -0,0 +1,182 @@
+// Custom card decks for Stack Memory Game
+// Decks are saved locally and share the cardData schema from data.json
+
+class DeckManager {
+    constructor(storageKey = 'stackMemoryDecks') {
+        this.storageKey = storageKey;
+    }
+
+    // Rarity values allowed on a card, from most to least common
+    static get RARITIES() {
+        return ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+    }
+
+    // Uploaded card images: data:image/<type>;base64,<payload> and nothing else
+    static get IMAGE_DATA_URL() {
+        return /^data:image\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/]+={0,2}$/i;
+    }
+
+    // Name used for the built-in deck from data.json
+    static get DEFAULT_DECK() {
+        return 'Default';
+    }
+
+    // Validate one card against the cardData schema, returning a list of problems
+    static validateCard(card, label = 'Card') {
+        const errors = [];
+
+        if (!card || typeof card !== 'object' || Array.isArray(card)) {
+            return [`${label} must be an object`];
+        }
+        if (!Number.isInteger(card.id) || card.id < 1) {
+            errors.push(`${label} id must be a positive integer`);
+        }
+        if (typeof card.name !== 'string' || card.name.trim().length === 0) {
+            errors.push(`${label} name must be a non-empty string`);
+        }
+        if (typeof card.icon !== 'string' || card.icon.length === 0) {
+            if (typeof card.image !== 'string') {
+                errors.push(`${label} needs an icon or an image`);
+            }
+        }
+        if (card.image !== undefined && (typeof card.image !== 'string' || !DeckManager.IMAGE_DATA_URL.test(card.image))) {
+            errors.push(`${label} image must be a base64 image data URL`);
+        }
+        if (typeof card.color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(card.color)) {
+            errors.push(`${label} color must be a hex color like #FF9800`);
+        }
+        if (!Number.isInteger(card.points) || card.points < 1) {
+            errors.push(`${label} points must be a positive integer`);
+        }
+        if (!DeckManager.RARITIES.includes(card.rarity)) {
+            errors.push(`${label} rarity must be one of: ${DeckManager.RARITIES.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    // Validate a whole deck (array of cards), including unique ids
+    static validateDeck(cards) {
+        if (!Array.isArray(cards)) {
+            return ['Deck must be an array of cards'];
+        }
+
+        const errors = [];
+        const seenIds = new Set();
+
+        cards.forEach((card, index) => {
+            const label = `Card #${index + 1}${card && card.name ? ` (${card.name})` : ''}`;
+            errors.push(...DeckManager.validateCard(card, label));
+
+            if (card && seenIds.has(card.id)) {
+                errors.push(`${label} reuses id ${card.id}`);
+            }
+            if (card) seenIds.add(card.id);
+        });
+
+        return errors;
+    }
+
+    // Load saved decks and the active deck name
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                decks: data.decks || {},
+                active: data.active || DeckManager.DEFAULT_DECK
+            };
+        } catch (error) {
+            console.warn('Failed to read decks, starting fresh:', error);
+            return { decks: {}, active: DeckManager.DEFAULT_DECK };
+        }
+    }
+
+    // Save decks and the active deck name
+    save(data) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    // Get the names of all saved decks
+    getDeckNames() {
+        return Object.keys(this.load().decks).sort();
+    }
+
+    // Get the cards of a saved deck (null if it does not exist)
+    getDeck(name) {
+        return this.load().decks[name] || null;
+    }
+
+    // Get the active deck name
+    getActiveName() {
+        const data = this.load();
+        return data.decks[data.active] ? data.active : DeckManager.DEFAULT_DECK;
+    }
+
+    // Make a deck the active one
+    setActive(name) {
+        const data = this.load();
+        data.active = name;
+        this.save(data);
+    }
+
+    // Create or replace a saved deck
+    saveDeck(name, cards) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Deck name cannot be empty');
+        }
+        if (trimmedName === DeckManager.DEFAULT_DECK) {
+            throw new Error(`"${DeckManager.DEFAULT_DECK}" is the built-in deck and cannot be replaced`);
+        }
+
+        const errors = DeckManager.validateDeck(cards);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        const data = this.load();
+        data.decks[trimmedName] = cards;
+        this.save(data);
+        return trimmedName;
+    }
+
+    // Delete a saved deck (falls back to the default deck if it was active)
+    deleteDeck(name) {
+        const data = this.load();
+        delete data.decks[name];
+        if (data.active === name) {
+            data.active = DeckManager.DEFAULT_DECK;
+        }
+        this.save(data);
+    }
+
+    // Next free card id in a deck
+    static nextCardId(cards) {
+        return cards.reduce((maxId, card) => Math.max(maxId, card.id), 0) + 1;
+    }
+
+    // Parse deck JSON from a file: either { name, cards } or a bare card array
+    static parseDeckFile(text, fallbackName) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`File is not valid JSON: ${error.message}`);
+        }
+
+        const cards = Array.isArray(parsed) ? parsed : parsed && (parsed.cards || parsed.cardData);
+        const name = (!Array.isArray(parsed) && parsed && parsed.name) || fallbackName;
+
+        const errors = DeckManager.validateDeck(cards);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        return { name, cards };
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeckManager;
+}
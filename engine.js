@@ -0,0 +1,692 @@
+// Headless game engine for Stack Memory Game
+// Owns the card container, the dealt board and every rule; the UI listens to its events and draws
+
+class GameEngine {
+    constructor(gameConfig = null) {
+        this.listeners = {}; // event name -> handlers
+
+        // Card container (index 0 is the front/bottom)
+        this.containerMode = CardContainer.DEFAULT_MODE;
+        this.cardStack = [];
+        this.operationsUsed = Object.fromEntries(CardContainer.getAllOperationIds().map(id => [id, false]));
+
+        // Difficulty mode and hot-seat players (empty means single-player)
+        this.gameMode = 'classic';
+        this.variant = GameEngine.DEFAULT_VARIANT; // Match size, match rule and board shifting
+        this.players = []; // [{ name, score, pairs }]
+        this.currentPlayerIndex = 0;
+
+        this.rng = new SeededRandom();
+        this.gameSeed = null;
+        this.gameCode = null;
+
+        this.config = null;
+        this.scoring = null;
+        if (gameConfig) {
+            this.setConfig(gameConfig);
+        }
+
+        this.reset();
+    }
+
+    // Difficulty modes the engine knows the rules of
+    static get MODES() {
+        return ['classic', 'timeAttack', 'limitedMoves', 'hardcore'];
+    }
+
+    // Cards per match (pairs, triplets, quads)
+    static get MATCH_SIZES() {
+        return [2, 3, 4];
+    }
+
+    // What makes cards match: the same card, the same color or the same rarity
+    static get MATCH_RULES() {
+        return ['identical', 'color', 'rarity'];
+    }
+
+    // Classic pairs of identical cards on a board that never moves
+    static get DEFAULT_VARIANT() {
+        return { matchSize: 2, matchRule: 'identical', shiftEvery: 0 };
+    }
+
+    // Key that tells variants apart in records, e.g. "3-color-5" (records without a variant are plain pairs)
+    static getVariantKey(variant = {}) {
+        const { matchSize, matchRule, shiftEvery } = { ...GameEngine.DEFAULT_VARIANT, ...variant };
+        return `${matchSize}-${matchRule}-${shiftEvery}`;
+    }
+
+    // Variant of a key from getVariantKey
+    static parseVariantKey(key) {
+        const [matchSize, matchRule, shiftEvery] = String(key).split('-');
+        return { matchSize: Number(matchSize), matchRule, shiftEvery: Number(shiftEvery) };
+    }
+
+    // Key that must be equal for cards to match under a rule
+    static getMatchKey(card, matchRule) {
+        if (matchRule === 'color') return String(card.color).toLowerCase();
+        if (matchRule === 'rarity') return card.rarity;
+        return card.pairId;
+    }
+
+    // Subscribe to an event; returns a function that unsubscribes
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== handler);
+    }
+
+    emit(event, payload = {}) {
+        (this.listeners[event] || []).forEach(handler => handler(payload));
+    }
+
+    // Use a (validated) gameConfig for limits, delays and scoring
+    setConfig(gameConfig) {
+        this.config = gameConfig;
+        this.scoring = new ScoringSystem({
+            ...gameConfig.scoring,
+            timeBonus: gameConfig.timeBonus
+        });
+    }
+
+    // Clear the board and per-game counters (the container, mode and players stay)
+    reset() {
+        this.gameCards = [];
+        this.flippedCards = []; // Face-up cards waiting to be resolved: [{ index, wasSeen }]
+        this.pendingMismatch = null; // Missed pair waiting to be turned back over
+        this.matchedPairs = 0;
+        this.moves = 0;
+        this.score = 0;
+        this.timer = 0;
+        this.gameActive = false;
+        this.gameStarted = false;
+        this.matchStreak = 0; // Consecutive matches without a miss
+        this.lastMatchTime = 0; // Timer value at the previous match
+        this.pendingPenalty = 0; // Seen-card penalties waiting for the next match
+        this.hintsUsed = 0;
+        this.pendingHintCost = 0; // Hint costs waiting for the next match
+        this.seenCards = new Set(); // Game card ids that have been face up
+        this.matchBreakdown = []; // Score breakdown of every match
+        this.currentPlayerIndex = 0;
+        this.players.forEach(player => {
+            player.score = 0;
+            player.pairs = 0;
+        });
+    }
+
+    // Restart the random source (a game code fixes stack ids and the deal)
+    setSeed(seed) {
+        this.rng = new SeededRandom(seed);
+    }
+
+    // CONTAINER
+
+    setContainerMode(mode) {
+        if (this.gameStarted || !CardContainer.MODES[mode]) return false;
+
+        this.containerMode = mode;
+        this.emit('containerChanged', { operation: null });
+        return true;
+    }
+
+    isFull() {
+        return this.cardStack.length >= this.config.stackOperations.maxStackSize;
+    }
+
+    isEmpty() {
+        return this.cardStack.length === 0;
+    }
+
+    // Add a card with the mode's add operation; returns the stacked card, or null if full or in play
+    // Cards loaded for the player (default stack, presets, game codes) pass countOperation false
+    addCard(cardData, operation = null, countOperation = true) {
+        operation = operation || CardContainer.getDefaultOperation(this.containerMode, 'add');
+        if (this.gameStarted || this.isFull()) return null;
+
+        const card = {
+            ...cardData,
+            stackId: this.rng.nextInt(0x100000000),
+            timestamp: new Date().toISOString()
+        };
+
+        CardContainer.insert(this.cardStack, card, operation.end);
+        if (countOperation) this.operationsUsed[operation.id] = true;
+        this.emit('containerChanged', { operation, card });
+        return card;
+    }
+
+    // Remove a card with the mode's remove operation; returns it, or null if empty or in play
+    removeCard(operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.containerMode, 'remove');
+        if (this.gameStarted || this.isEmpty()) return null;
+
+        const card = CardContainer.remove(this.cardStack, operation.end);
+        this.operationsUsed[operation.id] = true;
+        this.emit('containerChanged', { operation, card });
+        return card;
+    }
+
+    // Add several cards in order with one operation; returns the stacked cards (stops when full)
+    addCards(cardList, operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.containerMode, 'add');
+        if (this.gameStarted) return [];
+
+        const room = this.config.stackOperations.maxStackSize - this.cardStack.length;
+        const cards = cardList.slice(0, Math.max(0, room)).map(cardData => ({
+            ...cardData,
+            stackId: this.rng.nextInt(0x100000000),
+            timestamp: new Date().toISOString()
+        }));
+        if (cards.length === 0) return [];
+
+        cards.forEach(card => CardContainer.insert(this.cardStack, card, operation.end));
+        this.operationsUsed[operation.id] = true;
+        this.emit('containerChanged', { operation, cards });
+        return cards;
+    }
+
+    // Remove up to count cards with one operation; returns them in the order they came off
+    removeCards(count, operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.containerMode, 'remove');
+        if (this.gameStarted || this.isEmpty() || count < 1) return [];
+
+        const cards = [];
+        while (cards.length < count && !this.isEmpty()) {
+            cards.push(CardContainer.remove(this.cardStack, operation.end));
+        }
+        this.operationsUsed[operation.id] = true;
+        this.emit('containerChanged', { operation, cards });
+        return cards;
+    }
+
+    // Reverse, sort or shuffle the whole container; returns false if in play or unknown
+    reorderCards(reorderId) {
+        const operation = CardContainer.REORDERS.find(reorder => reorder.id === reorderId);
+        if (this.gameStarted || !operation) return false;
+
+        this.cardStack = CardContainer.reorder(this.cardStack, reorderId, this.rng);
+        this.emit('containerChanged', { operation });
+        return true;
+    }
+
+    // Look at a card with the mode's peek operation; returns it, or null if empty
+    peekCard(operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.containerMode, 'peek');
+        if (this.isEmpty()) return null;
+
+        this.operationsUsed[operation.id] = true;
+        return CardContainer.peek(this.cardStack, operation.end);
+    }
+
+    // Remove every card; returns how many were removed
+    clearCards() {
+        if (this.gameStarted) return 0;
+
+        const count = this.cardStack.length;
+        this.cardStack = [];
+        this.operationsUsed.clear = true;
+        this.emit('containerChanged', { operation: { id: 'clear', kind: 'clear' } });
+        return count;
+    }
+
+    // Replace the container contents (undo/redo, game codes, saved games); returns false if in play
+    setCards(cards) {
+        if (this.gameStarted) return false;
+
+        this.cardStack = [...cards];
+        this.emit('containerChanged', { operation: null });
+        return true;
+    }
+
+    // MODES AND PLAYERS
+
+    setGameMode(mode) {
+        if (this.gameStarted || !GameEngine.MODES.includes(mode)) return false;
+
+        this.gameMode = mode;
+        return true;
+    }
+
+    // Set match size, match rule and shifting (shiftEvery 0 keeps the board still); returns false if invalid or in play
+    setVariant(variant) {
+        const next = { ...this.variant, ...variant };
+        if (this.gameStarted ||
+            !GameEngine.MATCH_SIZES.includes(next.matchSize) ||
+            !GameEngine.MATCH_RULES.includes(next.matchRule) ||
+            !Number.isInteger(next.shiftEvery) || next.shiftEvery < 0) {
+            return false;
+        }
+
+        this.variant = next;
+        return true;
+    }
+
+    // Cards dealt for the current container and match size
+    getBoardSize() {
+        return this.cardStack.length * this.variant.matchSize;
+    }
+
+    // Seconds available in Time Attack for the current stack
+    getTimeLimit() {
+        const secondsPerPair = this.config?.difficultyModes?.timeAttack?.secondsPerPair || 8;
+        return this.cardStack.length * secondsPerPair;
+    }
+
+    // Moves available in Limited Moves for the current stack
+    getMoveBudget() {
+        const movesPerPair = this.config?.difficultyModes?.limitedMoves?.movesPerPair || 2;
+        return this.cardStack.length * movesPerPair;
+    }
+
+    // Hot-seat players by name (fewer than two means single-player)
+    setPlayers(names) {
+        if (this.gameStarted) return false;
+
+        this.players = names.length > 1 ? names.map(name => ({ name, score: 0, pairs: 0 })) : [];
+        this.currentPlayerIndex = 0;
+        return true;
+    }
+
+    isMultiplayer() {
+        return this.players.length > 1;
+    }
+
+    getCurrentPlayer() {
+        return this.players[this.currentPlayerIndex];
+    }
+
+    // Pass the turn to the next player
+    nextTurn() {
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+    }
+
+    // GAME
+
+    // Deal a board from the container and start playing; returns false if there are too few or too many cards
+    start(seed = SeededRandom.randomSeed()) {
+        if (this.gameActive || this.cardStack.length < (this.config.minCards || 2)) return false;
+        if (this.config.maxCards && this.getBoardSize() > this.config.maxCards) return false;
+
+        this.reset();
+        this.createGameCards();
+
+        this.gameSeed = seed;
+        this.setSeed(seed);
+        this.gameCode = GameCode.encode(seed, this.cardStack.map(card => card.id), this.variant);
+        this.shuffle();
+
+        this.gameActive = true;
+        this.gameStarted = true;
+        this.emit('gameStarted', { seed, gameCode: this.gameCode });
+        return true;
+    }
+
+    // matchSize game cards per container card (every match-rule group stays a multiple of matchSize)
+    createGameCards() {
+        const copies = [...Array(this.variant.matchSize).keys()].map(copy => copy + 1);
+        this.gameCards = [];
+        this.cardStack.forEach(cardData => {
+            copies.forEach(copy => {
+                this.gameCards.push({
+                    ...cardData,
+                    id: `${cardData.id}_${copy}`,
+                    pairId: cardData.id,
+                    matched: false,
+                    flipped: false
+                });
+            });
+        });
+    }
+
+    // Fisher-Yates shuffle of the board (seeded)
+    shuffle() {
+        for (let i = this.gameCards.length - 1; i > 0; i--) {
+            const j = this.rng.nextInt(i + 1);
+            [this.gameCards[i], this.gameCards[j]] = [this.gameCards[j], this.gameCards[i]];
+        }
+    }
+
+    // Turn a card face up; returns false if the flip is not allowed
+    flip(index) {
+        const card = this.gameCards[index];
+        if (!this.gameActive || !card || card.matched || card.flipped || this.flippedCards.length >= this.variant.matchSize) {
+            return false;
+        }
+
+        // Remember whether it had been seen before (re-flipping seen cards is penalized)
+        const wasSeen = this.seenCards.has(card.id);
+        this.seenCards.add(card.id);
+        card.flipped = true;
+        this.flippedCards.push({ index, wasSeen });
+        this.emit('cardFlipped', { card, index, wasSeen });
+
+        // A move is a full group (pair, triplet or quad) face up
+        if (this.flippedCards.length === this.variant.matchSize) {
+            this.moves++;
+            this.emit('pairFlipped', { indexes: this.flippedCards.map(flipped => flipped.index), moves: this.moves });
+        }
+        return true;
+    }
+
+    // Decide whether the face-up group matches; returns 'match', 'mismatch' or null
+    resolvePair() {
+        if (this.flippedCards.length !== this.variant.matchSize) return null;
+
+        // The game may have ended (e.g. time ran out) while the match delay was pending
+        if (!this.gameStarted) {
+            this.flippedCards = [];
+            return null;
+        }
+
+        const flipped = this.flippedCards;
+        this.flippedCards = [];
+        const keys = flipped.map(({ index }) => GameEngine.getMatchKey(this.gameCards[index], this.variant.matchRule));
+        const result = keys.every(key => key === keys[0])
+            ? this.handleMatch(flipped)
+            : this.handleMismatch(flipped);
+
+        if (this.gameStarted) {
+            this.checkMoveLimit();
+        }
+        // Shifting boards move after a match right away, after a miss once the cards turn back
+        if (this.gameStarted && result === 'match') {
+            this.checkShift();
+        }
+        return result;
+    }
+
+    handleMatch(flipped) {
+        const indexes = flipped.map(({ index }) => index);
+        const cards = indexes.map(index => this.gameCards[index]);
+        cards.forEach(card => {
+            card.matched = true;
+        });
+
+        // Rarity multiplier, speed and combo streak, minus seen-card penalties and hints since the last match
+        this.matchStreak++;
+        const breakdown = this.scoring.scoreMatch(cards[0], {
+            secondsSinceLastMatch: this.timer - this.lastMatchTime,
+            streak: this.matchStreak,
+            penalty: this.pendingPenalty,
+            hintCost: this.pendingHintCost
+        });
+        this.pendingPenalty = 0;
+        this.pendingHintCost = 0;
+        this.lastMatchTime = this.timer;
+        this.matchBreakdown.push(breakdown);
+        this.score += breakdown.total;
+        this.matchedPairs++;
+
+        // A match keeps the turn
+        const player = this.isMultiplayer() ? this.getCurrentPlayer() : null;
+        if (player) {
+            player.score += breakdown.total;
+            player.pairs++;
+        }
+
+        this.emit('match', { cards, indexes, breakdown, streak: this.matchStreak, player });
+
+        if (this.matchedPairs === this.cardStack.length) {
+            this.complete();
+        }
+        return 'match';
+    }
+
+    handleMismatch(flipped) {
+        // A miss breaks the combo; re-flipping cards already seen costs points at the next match
+        this.matchStreak = 0;
+        const seenCount = flipped.filter(({ wasSeen }) => wasSeen).length;
+        const penalty = this.scoring.getSeenPenalty(seenCount);
+        this.pendingPenalty += penalty;
+
+        // A miss passes the turn
+        if (this.isMultiplayer()) {
+            this.nextTurn();
+        }
+
+        this.pendingMismatch = { indexes: flipped.map(({ index }) => index), seenCount, penalty };
+        this.emit('mismatch', this.pendingMismatch);
+        return 'mismatch';
+    }
+
+    // Turn a missed pair back over (the UI calls this after matchDelay)
+    hideMismatch() {
+        const mismatch = this.pendingMismatch;
+        if (!mismatch) return;
+
+        this.pendingMismatch = null;
+        mismatch.indexes.forEach(index => {
+            this.gameCards[index].flipped = false;
+        });
+        this.emit('cardsHidden', mismatch);
+
+        if (this.gameMode === 'hardcore' && this.gameStarted) {
+            this.reshuffleUnmatchedCards('hardcore');
+        } else if (this.gameStarted) {
+            this.checkShift();
+        }
+    }
+
+    // Shifting boards: reshuffle every shiftEvery moves
+    checkShift() {
+        const { shiftEvery } = this.variant;
+        if (shiftEvery > 0 && this.moves > 0 && this.moves % shiftEvery === 0) {
+            this.reshuffleUnmatchedCards('shift');
+        }
+    }
+
+    // Move unmatched, face-down cards to random unmatched positions (reason is 'hardcore' or 'shift')
+    reshuffleUnmatchedCards(reason = 'hardcore') {
+        const positions = this.gameCards
+            .map((card, index) => index)
+            .filter(index => !this.gameCards[index].matched && !this.gameCards[index].flipped);
+
+        const cards = positions.map(index => this.gameCards[index]);
+        for (let i = cards.length - 1; i > 0; i--) {
+            const j = this.rng.nextInt(i + 1);
+            [cards[i], cards[j]] = [cards[j], cards[i]];
+        }
+        positions.forEach((position, i) => {
+            this.gameCards[position] = cards[i];
+        });
+
+        // Reshuffled cards are unknown again
+        cards.forEach(card => this.seenCards.delete(card.id));
+        this.emit('reshuffled', { order: this.gameCards.map(card => card.id), count: positions.length, reason });
+    }
+
+    // Hints allowed per game (gameConfig.hints.maxPerGame)
+    getHintLimit() {
+        const maxPerGame = this.config?.hints?.maxPerGame;
+        return maxPerGame !== undefined ? maxPerGame : 3;
+    }
+
+    getHintsLeft() {
+        return Math.max(0, this.getHintLimit() - this.hintsUsed);
+    }
+
+    // Use a hint; returns { type, indexes, cost, hintsLeft } or null if not allowed
+    // 'partner' shows the cards that complete the face-up group, 'overview' every face-down card
+    useHint(type) {
+        if (!this.gameActive || this.getHintsLeft() === 0 || this.pendingMismatch) return null;
+
+        let indexes;
+        if (type === 'partner') {
+            // Enough face-down cards to complete the face-up card's group
+            const { matchSize, matchRule } = this.variant;
+            if (this.flippedCards.length === 0 || this.flippedCards.length >= matchSize) return null;
+            const key = GameEngine.getMatchKey(this.gameCards[this.flippedCards[0].index], matchRule);
+            indexes = this.gameCards
+                .map((card, index) => index)
+                .filter(index => {
+                    const card = this.gameCards[index];
+                    return !card.matched && !card.flipped && GameEngine.getMatchKey(card, matchRule) === key;
+                })
+                .slice(0, matchSize - this.flippedCards.length);
+        } else if (type === 'overview') {
+            if (this.flippedCards.length !== 0) return null;
+            indexes = this.gameCards
+                .map((card, index) => index)
+                .filter(index => !this.gameCards[index].matched && !this.gameCards[index].flipped);
+        } else {
+            return null;
+        }
+
+        // Paid with the next match, like seen-card penalties
+        const cost = this.scoring.getHintCost(type);
+        this.hintsUsed++;
+        this.pendingHintCost += cost;
+
+        const hint = { type, indexes, cost, hintsLeft: this.getHintsLeft() };
+        this.emit('hint', hint);
+        return hint;
+    }
+
+    // One second of play (the UI owns the interval)
+    tick() {
+        if (!this.gameActive) return;
+
+        this.timer++;
+        this.emit('tick', { timer: this.timer });
+        this.checkTimeLimit();
+    }
+
+    pause() {
+        if (!this.gameActive) return false;
+
+        this.gameActive = false;
+        this.emit('paused');
+        return true;
+    }
+
+    resume() {
+        if (!this.gameStarted || this.gameActive) return false;
+
+        this.gameActive = true;
+        this.emit('resumed');
+        return true;
+    }
+
+    // End the game when the Time Attack countdown runs out
+    checkTimeLimit() {
+        if (this.gameMode === 'timeAttack' && this.timer >= this.getTimeLimit()) {
+            this.lose('time');
+        }
+    }
+
+    // End the game when the Limited Moves budget is spent without finishing
+    checkMoveLimit() {
+        if (this.gameMode !== 'limitedMoves' || this.matchedPairs === this.cardStack.length) return;
+
+        if (this.moves >= this.getMoveBudget()) {
+            this.lose('moves');
+        }
+    }
+
+    // Every pair found: add the solo bonuses and finish
+    complete() {
+        this.gameActive = false;
+        this.gameStarted = false;
+
+        // Hot-seat games are decided by per-player scores, without bonuses
+        let bonus = 0;
+        if (!this.isMultiplayer()) {
+            const stackSizeBonus = this.cardStack.length * 50;
+            const operationsBonus = Object.values(this.operationsUsed).filter(used => used).length * 100;
+            bonus = stackSizeBonus + operationsBonus;
+            this.score += bonus;
+        }
+
+        this.emit('gameComplete', { bonus, score: this.score, hintsUsed: this.hintsUsed });
+    }
+
+    // Game lost; reason is 'time' or 'moves'
+    lose(reason) {
+        this.gameActive = false;
+        this.gameStarted = false;
+        this.flippedCards = [];
+        this.pendingMismatch = null;
+        this.emit('gameLost', { reason });
+    }
+
+    // SAVED GAMES
+
+    // Plain data for a saved game
+    serialize() {
+        return {
+            cardStack: this.cardStack,
+            gameCards: this.gameCards,
+            matchedPairs: this.matchedPairs,
+            moves: this.moves,
+            score: this.score,
+            timer: this.timer,
+            gameSeed: this.gameSeed,
+            gameCode: this.gameCode,
+            containerMode: this.containerMode,
+            operationsUsed: this.operationsUsed,
+            players: this.players,
+            currentPlayerIndex: this.currentPlayerIndex,
+            gameMode: this.gameMode,
+            variant: this.variant,
+            matchStreak: this.matchStreak,
+            lastMatchTime: this.lastMatchTime,
+            pendingPenalty: this.pendingPenalty,
+            hintsUsed: this.hintsUsed,
+            pendingHintCost: this.pendingHintCost,
+            seenCards: [...this.seenCards],
+            flippedCards: this.flippedCards,
+            pendingMismatch: this.pendingMismatch,
+            matchBreakdown: this.matchBreakdown
+        };
+    }
+
+    // Restore a saved game, paused
+    restore(state) {
+        this.reset();
+
+        this.cardStack = state.cardStack;
+        this.gameCards = state.gameCards;
+        this.matchedPairs = state.matchedPairs;
+        this.moves = state.moves;
+        this.score = state.score;
+        this.timer = state.timer;
+        this.gameSeed = state.gameSeed;
+        this.gameCode = state.gameCode;
+        this.setSeed(state.gameSeed);
+        // Older saves tracked only stack operations
+        this.operationsUsed = { ...this.operationsUsed, ...(state.operationsUsed || state.stackOperationsUsed) };
+        this.containerMode = CardContainer.MODES[state.containerMode] ? state.containerMode : this.containerMode;
+        this.players = state.players || [];
+        this.currentPlayerIndex = state.currentPlayerIndex || 0;
+        this.gameMode = GameEngine.MODES.includes(state.gameMode) ? state.gameMode : 'classic';
+        // Saves from before variants were plain pairs
+        this.variant = { ...GameEngine.DEFAULT_VARIANT, ...(state.variant || {}) };
+        this.matchStreak = state.matchStreak || 0;
+        this.lastMatchTime = state.lastMatchTime || 0;
+        this.pendingPenalty = state.pendingPenalty || 0;
+        this.hintsUsed = state.hintsUsed || 0;
+        this.pendingHintCost = state.pendingHintCost || 0;
+        this.seenCards = new Set(state.seenCards || []);
+        this.matchBreakdown = state.matchBreakdown || [];
+
+        // A miss that was still showing is turned back over on resume, without scoring it again
+        this.pendingMismatch = state.pendingMismatch || null;
+
+        // Cards that were face up but not yet resolved (older saves did not keep wasSeen)
+        const mismatched = this.pendingMismatch ? this.pendingMismatch.indexes : [];
+        this.flippedCards = state.flippedCards || this.gameCards
+            .map((card, index) => ({ card, index }))
+            .filter(entry => entry.card.flipped && !entry.card.matched && !mismatched.includes(entry.index))
+            .map(entry => ({ index: entry.index, wasSeen: false }));
+
+        this.gameStarted = true;
+        this.gameActive = false;
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
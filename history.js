@@ -0,0 +1,78 @@
+// Undo/redo history for stack operations in Stack Memory Game
+// Every mutation stores the stack before and after, so bulk operations undo in one step
+
+class StackHistory {
+    constructor(maxEntries = 100) {
+        this.maxEntries = maxEntries;
+        this.undoStack = []; // Commands that can be undone (most recent last)
+        this.redoStack = []; // Commands that were undone and can be redone
+        this.log = []; // Every operation, undo and redo, for the history view
+    }
+
+    // Record a stack mutation; a new command clears the redo stack
+    record(operation, detail, before, after) {
+        const command = {
+            operation,
+            detail,
+            before: [...before],
+            after: [...after]
+        };
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.addLogEntry(operation, detail, after.length);
+        return command;
+    }
+
+    // Undo the most recent command, returning it (or null)
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.redoStack.push(command);
+        this.addLogEntry('UNDO', `${command.operation} ${command.detail}`.trim(), command.before.length);
+        return command;
+    }
+
+    // Redo the most recently undone command, returning it (or null)
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.undoStack.push(command);
+        this.addLogEntry('REDO', `${command.operation} ${command.detail}`.trim(), command.after.length);
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Add a line to the operation log
+    addLogEntry(operation, detail, stackSize) {
+        this.log.push({
+            operation,
+            detail,
+            stackSize,
+            timestamp: new Date().toISOString()
+        });
+        if (this.log.length > this.maxEntries) {
+            this.log.shift();
+        }
+    }
+
+    // Forget all commands and log entries
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.log = [];
+    }
+}
@@ -0,0 +1,62 @@
+// Board layout engine for Stack Memory Game
+// Picks the grid and card size that fit the board in the available area, then applies the zoom
+
+class BoardLayout {
+    // Zoom limits and the step of one zoom button press or wheel notch
+    static get ZOOM() {
+        return { min: 0.5, max: 2.5, step: 1.1 };
+    }
+
+    // Card size limits in pixels (large boards on small screens stop shrinking at min and scroll)
+    static get CARD_SIZE() {
+        return { min: 32, max: 120 };
+    }
+
+    static clampZoom(zoom) {
+        const { min, max } = BoardLayout.ZOOM;
+        return Math.min(max, Math.max(min, zoom));
+    }
+
+    // Layout of cardCount square cards in a width x height area: { columns, rows, cardSize, iconSize }
+    // Tries every column count and keeps the one with the biggest cards, preferring full last rows
+    static compute(cardCount, width, height, { gap = 8, zoom = 1 } = {}) {
+        const count = Math.max(1, cardCount);
+        let best = null;
+
+        for (let columns = 1; columns <= count; columns++) {
+            const rows = Math.ceil(count / columns);
+            const size = Math.min(
+                (width - gap * (columns - 1)) / columns,
+                (height - gap * (rows - 1)) / rows
+            );
+            const emptySlots = columns * rows - count;
+
+            // Within a pixel counts as a tie, so an even grid wins over a ragged one
+            if (!best || size > best.size + 1 || (size > best.size - 1 && emptySlots < best.emptySlots)) {
+                best = { columns, rows, size, emptySlots };
+            }
+        }
+
+        // Zooming scales the fitted size (and its upper limit); zoomed-in boards scroll
+        const { min, max } = BoardLayout.CARD_SIZE;
+        const scale = BoardLayout.clampZoom(zoom);
+        const cardSize = Math.floor(Math.min(max * scale, Math.max(min, best.size * scale)));
+        return {
+            columns: best.columns,
+            rows: best.rows,
+            cardSize,
+            iconSize: Math.max(12, Math.round(cardSize * 0.4))
+        };
+    }
+
+    // Distance between two touch points, for pinch zoom
+    static getTouchDistance(touches) {
+        const [first, second] = touches;
+        return Math.hypot(first.clientX - second.clientX, first.clientY - second.clientY);
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardLayout;
+}
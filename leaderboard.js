@@ -0,0 +1,91 @@
+// Local leaderboard for Stack Memory Game
+// Records every completed game so runs can be compared per player, board size and variant
+
+class Leaderboard {
+    constructor(storageKey = 'stackMemoryLeaderboard', maxEntries = 500) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+    }
+
+    // Load all recorded games
+    loadEntries() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Failed to read leaderboard, starting fresh:', error);
+            return [];
+        }
+    }
+
+    // Save recorded games, keeping only the most recent ones
+    saveEntries(entries) {
+        localStorage.setItem(this.storageKey, JSON.stringify(entries.slice(-this.maxEntries)));
+    }
+
+    // Record a completed game
+    addEntry(entry) {
+        const record = {
+            player: entry.player,
+            score: entry.score,
+            moves: entry.moves,
+            time: entry.time,
+            pairs: entry.pairs,
+            mode: entry.mode || 'classic',
+            variant: { ...GameEngine.DEFAULT_VARIANT, ...entry.variant },
+            hints: entry.hints || 0,
+            date: entry.date || new Date().toISOString()
+        };
+
+        const entries = this.loadEntries();
+        entries.push(record);
+        this.saveEntries(entries);
+
+        console.log(`Leaderboard entry recorded for ${record.player}: ${record.score}`);
+        return record;
+    }
+
+    // Get entries matching the given filters (player, pairs, mode, variant key)
+    getEntries(filters = {}) {
+        return this.loadEntries().filter(entry => {
+            if (filters.player && entry.player !== filters.player) return false;
+            if (filters.pairs && entry.pairs !== Number(filters.pairs)) return false;
+            if (filters.mode && (entry.mode || 'classic') !== filters.mode) return false;
+            if (filters.variant && GameEngine.getVariantKey(entry.variant) !== filters.variant) return false;
+            return true;
+        });
+    }
+
+    // Get the top N entries by score (fewer moves, then less time break ties)
+    getTop(limit = 10, filters = {}) {
+        return this.getEntries(filters)
+            .sort((a, b) => b.score - a.score || a.moves - b.moves || a.time - b.time)
+            .slice(0, limit);
+    }
+
+    // Get the best score for the given filters
+    getBestScore(filters = {}) {
+        const [best] = this.getTop(1, filters);
+        return best ? best.score : 0;
+    }
+
+    // Get every player name that has recorded a game
+    getPlayers() {
+        return [...new Set(this.loadEntries().map(entry => entry.player))].sort();
+    }
+
+    // Get the key of every variant that has been played
+    getVariants() {
+        return [...new Set(this.loadEntries().map(entry => GameEngine.getVariantKey(entry.variant)))].sort();
+    }
+
+    // Get every board size (pair count) that has been played
+    getBoardSizes() {
+        return [...new Set(this.loadEntries().map(entry => entry.pairs))].sort((a, b) => a - b);
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Leaderboard;
+}
@@ -0,0 +1,201 @@
+// Stack presets for Stack Memory Game
+// A preset is a named list of card ids that rebuilds a whole stack in one click
+
+class PresetManager {
+    constructor(storageKey = 'stackMemoryPresets') {
+        this.storageKey = storageKey;
+    }
+
+    // Read-only presets shipped with the game; each picks cards from the active deck (and may use the stack limit)
+    static get BUILT_IN() {
+        return {
+            'Quick 4': {
+                description: 'The first 4 cards of the deck',
+                select: cards => cards.slice(0, 4)
+            },
+            'All Legendary': {
+                description: 'Every legendary and mythic card',
+                select: cards => cards.filter(card => card.rarity === 'legendary' || card.rarity === 'mythic')
+            },
+            'Max 24': {
+                description: 'As many cards as the stack holds',
+                select: (cards, maxStackSize) => cards.slice(0, maxStackSize)
+            }
+        };
+    }
+
+    static isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(PresetManager.BUILT_IN, name);
+    }
+
+    // Validate a preset's card ids, returning a list of problems
+    static validatePreset(cardIds, label = 'Preset') {
+        if (!Array.isArray(cardIds)) {
+            return [`${label} must list its card ids in an array`];
+        }
+        if (cardIds.length === 0) {
+            return [`${label} has no cards`];
+        }
+        if (cardIds.some(id => !Number.isInteger(id) || id < 1)) {
+            return [`${label} card ids must be positive integers`];
+        }
+        return [];
+    }
+
+    // Load saved presets ({ name: { cardIds, deck, created } })
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read presets, starting fresh:', error);
+            return {};
+        }
+    }
+
+    save(presets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(presets));
+    }
+
+    // Get the names of all presets, built-in ones first
+    getNames() {
+        return [...Object.keys(PresetManager.BUILT_IN), ...Object.keys(this.load()).sort()];
+    }
+
+    // Get a saved preset (null if it does not exist or is built in)
+    getPreset(name) {
+        return this.load()[name] || null;
+    }
+
+    // Check a name for a new or renamed preset; returns it trimmed
+    checkName(name) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Preset name cannot be empty');
+        }
+        if (PresetManager.isBuiltIn(trimmedName)) {
+            throw new Error(`"${trimmedName}" is a built-in preset and cannot be replaced`);
+        }
+        return trimmedName;
+    }
+
+    // Create or replace a saved preset from stack cards
+    savePreset(name, cards, deck = null) {
+        const trimmedName = this.checkName(name);
+        const cardIds = cards.map(card => card.id);
+
+        const errors = PresetManager.validatePreset(cardIds, `Preset "${trimmedName}"`);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        const presets = this.load();
+        presets[trimmedName] = { cardIds, deck, created: new Date().toISOString() };
+        this.save(presets);
+        return trimmedName;
+    }
+
+    // Rename a saved preset; returns the new name
+    renamePreset(oldName, newName) {
+        const presets = this.load();
+        if (!presets[oldName]) {
+            throw new Error(`No saved preset named "${oldName}"`);
+        }
+
+        const trimmedName = this.checkName(newName);
+        if (trimmedName !== oldName && presets[trimmedName]) {
+            throw new Error(`A preset named "${trimmedName}" already exists`);
+        }
+
+        const preset = presets[oldName];
+        delete presets[oldName];
+        presets[trimmedName] = preset;
+        this.save(presets);
+        return trimmedName;
+    }
+
+    deletePreset(name) {
+        const presets = this.load();
+        delete presets[name];
+        this.save(presets);
+    }
+
+    // Cards a preset puts in the stack from the deck named deckName: { cards, missing, truncated, otherDeck }
+    // Ids not in the deck are skipped and the stack is cut at maxStackSize; custom decks number their
+    // cards from 1, so a preset saved on another deck loads nothing and names that deck in otherDeck
+    resolve(name, deckCards, maxStackSize, deckName = null) {
+        let selected;
+        let missing = 0;
+        if (PresetManager.isBuiltIn(name)) {
+            selected = PresetManager.BUILT_IN[name].select(deckCards, maxStackSize);
+        } else {
+            const preset = this.getPreset(name);
+            if (!preset) {
+                throw new Error(`No preset named "${name}"`);
+            }
+            if (preset.deck && deckName && preset.deck !== deckName) {
+                return { cards: [], missing: 0, truncated: 0, otherDeck: preset.deck };
+            }
+            selected = preset.cardIds.map(id => deckCards.find(card => card.id === id)).filter(Boolean);
+            missing = preset.cardIds.length - selected.length;
+        }
+
+        return {
+            cards: selected.slice(0, maxStackSize),
+            missing,
+            truncated: Math.max(0, selected.length - maxStackSize),
+            otherDeck: null
+        };
+    }
+
+    // Every saved preset as export data
+    exportPresets() {
+        const presets = this.load();
+        return {
+            presets: Object.keys(presets).sort().map(name => ({ name, ...presets[name] }))
+        };
+    }
+
+    // Parse preset JSON from a file: { presets: [...] } or a single { name, cardIds }
+    static parsePresetFile(text, fallbackName) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`File is not valid JSON: ${error.message}`);
+        }
+
+        const list = parsed && Array.isArray(parsed.presets) ? parsed.presets : [parsed];
+        const errors = [];
+        const presets = list.map((preset, index) => {
+            const name = String((preset && preset.name) || (list.length === 1 ? fallbackName : '')).trim();
+            const label = `Preset #${index + 1}${name ? ` (${name})` : ''}`;
+            if (!name) {
+                errors.push(`${label} needs a name`);
+            } else if (PresetManager.isBuiltIn(name)) {
+                errors.push(`${label} uses the name of a built-in preset`);
+            }
+            errors.push(...PresetManager.validatePreset(preset && preset.cardIds, label));
+            return { name, cardIds: preset && preset.cardIds, deck: (preset && preset.deck) || null };
+        });
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        return presets;
+    }
+
+    // Save parsed presets, replacing any with the same names; returns their names
+    importPresets(presets) {
+        const saved = this.load();
+        presets.forEach(({ name, cardIds, deck }) => {
+            saved[name] = { cardIds, deck, created: new Date().toISOString() };
+        });
+        this.save(saved);
+        return presets.map(preset => preset.name);
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetManager;
+}
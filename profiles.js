@@ -0,0 +1,202 @@
+// Player profiles for Stack Memory Game
+// Several local players can be saved and switched between; each keeps lifetime statistics
+
+class ProfileManager {
+    constructor(storageKey = 'stackMemoryProfiles', maxHistory = 50) {
+        this.storageKey = storageKey;
+        this.maxHistory = maxHistory; // Recent games kept for the score chart
+    }
+
+    // Empty lifetime statistics for a new profile
+    static createStats() {
+        return {
+            gamesPlayed: 0,
+            modes: {}, // mode -> { played, won }
+            movesTotal: 0, // Moves and pairs of won games, for average moves per pair
+            pairsTotal: 0,
+            bestTimes: {}, // best time key (see getBestTimeKey) -> fastest won game in seconds
+            cards: {}, // card id -> { name, icon, count } of games the card was stacked in
+            operations: {}, // container operation id -> times used
+            history: [] // Most recent games, oldest first
+        };
+    }
+
+    // Load saved profiles and the active player's name
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                profiles: data.profiles || {},
+                active: data.active || null
+            };
+        } catch (error) {
+            console.warn('Failed to read profiles, starting fresh:', error);
+            return { profiles: {}, active: null };
+        }
+    }
+
+    // Save profiles and the active player's name
+    save(data) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    // Turn the name stored by older versions into a profile
+    importLegacyName(legacyKey = 'stackMemoryPlayerName') {
+        const legacyName = localStorage.getItem(legacyKey);
+        if (!legacyName) return;
+
+        this.createProfile(legacyName);
+        if (!this.getActiveName()) {
+            this.setActive(legacyName);
+        }
+        localStorage.removeItem(legacyKey);
+    }
+
+    // Get the names of all saved profiles
+    getNames() {
+        return Object.keys(this.load().profiles).sort();
+    }
+
+    // Get a profile (null if it does not exist)
+    getProfile(name) {
+        return this.load().profiles[name] || null;
+    }
+
+    // Get the active player's name (null when nobody is logged in)
+    getActiveName() {
+        const data = this.load();
+        return data.profiles[data.active] ? data.active : null;
+    }
+
+    // Make a profile the active one (null logs out)
+    setActive(name) {
+        const data = this.load();
+        data.active = name;
+        this.save(data);
+    }
+
+    // Create a profile if it does not exist yet; returns the trimmed name
+    createProfile(name) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Player name cannot be empty');
+        }
+
+        const data = this.load();
+        if (!data.profiles[trimmedName]) {
+            data.profiles[trimmedName] = {
+                name: trimmedName,
+                created: new Date().toISOString(),
+                stats: ProfileManager.createStats()
+            };
+            this.save(data);
+        }
+        return trimmedName;
+    }
+
+    // Delete a profile and its statistics (logs out if it was active)
+    deleteProfile(name) {
+        const data = this.load();
+        delete data.profiles[name];
+        if (data.active === name) {
+            data.active = null;
+        }
+        this.save(data);
+    }
+
+    // Apply a change to one profile's statistics and save it
+    updateStats(name, update) {
+        const data = this.load();
+        const profile = data.profiles[name];
+        if (!profile) return;
+
+        profile.stats = { ...ProfileManager.createStats(), ...profile.stats };
+        update(profile.stats);
+        this.save(data);
+    }
+
+    // Key of a board in bestTimes: the pair count for plain pairs, "pairs:variant key" for other variants
+    static getBestTimeKey(pairs, variant) {
+        const variantKey = GameEngine.getVariantKey(variant);
+        return variantKey === GameEngine.getVariantKey() ? String(pairs) : `${pairs}:${variantKey}`;
+    }
+
+    // Record a finished game: { mode, variant, won, score, moves, time, pairs, cards }
+    recordGame(name, game) {
+        this.updateStats(name, stats => {
+            stats.gamesPlayed++;
+
+            const mode = stats.modes[game.mode] || { played: 0, won: 0 };
+            mode.played++;
+            if (game.won) mode.won++;
+            stats.modes[game.mode] = mode;
+
+            if (game.won) {
+                stats.movesTotal += game.moves;
+                stats.pairsTotal += game.pairs;
+                const bestTimeKey = ProfileManager.getBestTimeKey(game.pairs, game.variant);
+                const bestTime = stats.bestTimes[bestTimeKey];
+                if (bestTime === undefined || game.time < bestTime) {
+                    stats.bestTimes[bestTimeKey] = game.time;
+                }
+            }
+
+            (game.cards || []).forEach(card => {
+                const entry = stats.cards[card.id] || { name: card.name, icon: card.icon, count: 0 };
+                entry.count++;
+                stats.cards[card.id] = entry;
+            });
+
+            stats.history.push({
+                date: new Date().toISOString(),
+                mode: game.mode,
+                won: game.won,
+                score: game.score,
+                moves: game.moves,
+                time: game.time,
+                pairs: game.pairs
+            });
+            stats.history = stats.history.slice(-this.maxHistory);
+        });
+    }
+
+    // Count one use of a container operation
+    recordOperation(name, operationId) {
+        this.updateStats(name, stats => {
+            stats.operations[operationId] = (stats.operations[operationId] || 0) + 1;
+        });
+    }
+
+    // Figures shown on the dashboard, derived from lifetime statistics
+    static summarize(stats) {
+        stats = { ...ProfileManager.createStats(), ...stats };
+        const modes = Object.values(stats.modes);
+        const won = modes.reduce((sum, mode) => sum + mode.won, 0);
+
+        const winRates = {};
+        Object.entries(stats.modes).forEach(([mode, { played, won: modeWon }]) => {
+            winRates[mode] = played > 0 ? modeWon / played : 0;
+        });
+
+        const favoriteCards = Object.values(stats.cards)
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+            .slice(0, 5);
+
+        return {
+            gamesPlayed: stats.gamesPlayed,
+            won,
+            winRate: stats.gamesPlayed > 0 ? won / stats.gamesPlayed : 0,
+            winRates,
+            averageMovesPerPair: stats.pairsTotal > 0 ? stats.movesTotal / stats.pairsTotal : null,
+            bestTimes: stats.bestTimes,
+            favoriteCards,
+            operations: stats.operations,
+            recentScores: stats.history.map(game => game.score)
+        };
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
@@ -0,0 +1,91 @@
+// Seeded random numbers and shareable game codes for Stack Memory Game
+// The same seed always produces the same sequence, so deals can be reproduced
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Create a fresh 32-bit seed
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Next float in [0, 1) using the mulberry32 algorithm
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Next integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+// Game codes look like "SMQ-<seed>-<card ids>-<variant>" with every number in base 36
+// The variant is the match size, the match rule's letter and shiftEvery, e.g. "3C5"
+class GameCode {
+    static get PREFIX() {
+        return 'SMQ';
+    }
+
+    // Letter of each match rule in the variant part
+    static get MATCH_RULE_LETTERS() {
+        return { identical: 'I', color: 'C', rarity: 'R' };
+    }
+
+    // Build a code from a seed, the stack's card ids (bottom to top) and the game variant
+    static encode(seed, cardIds, variant = null) {
+        const ids = cardIds.map(id => Number(id).toString(36)).join('.');
+        const code = `${GameCode.PREFIX}-${(seed >>> 0).toString(36)}-${ids}`;
+        if (!variant) return code.toUpperCase();
+
+        const ruleLetter = GameCode.MATCH_RULE_LETTERS[variant.matchRule];
+        return `${code}-${variant.matchSize}${ruleLetter}${variant.shiftEvery.toString(36)}`.toUpperCase();
+    }
+
+    // Parse a code back into { seed, cardIds, variant }, throwing on malformed input
+    // Codes from before variants were shared have no variant part (variant is null)
+    static decode(code) {
+        const parts = String(code || '').trim().toUpperCase().split('-');
+        if ((parts.length !== 3 && parts.length !== 4) || parts[0] !== GameCode.PREFIX) {
+            throw new Error('Game code must look like SMQ-XXXX-1.2.3-2I0');
+        }
+
+        const seed = parseInt(parts[1], 36);
+        if (!/^[0-9A-Z]+$/.test(parts[1]) || !Number.isFinite(seed) || seed > 0xFFFFFFFF) {
+            throw new Error('Game code has an invalid seed');
+        }
+
+        const cardIds = parts[2].split('.').map(part => {
+            if (!/^[0-9A-Z]+$/.test(part)) {
+                throw new Error(`Game code has an invalid card id: ${part}`);
+            }
+            return parseInt(part, 36);
+        });
+
+        return { seed, cardIds, variant: parts.length === 4 ? GameCode.decodeVariant(parts[3]) : null };
+    }
+
+    // Parse the variant part ("3C5") into { matchSize, matchRule, shiftEvery }
+    static decodeVariant(part) {
+        const match = /^([0-9])([A-Z])([0-9A-Z]+)$/.exec(part);
+        const matchRule = match && Object.keys(GameCode.MATCH_RULE_LETTERS)
+            .find(rule => GameCode.MATCH_RULE_LETTERS[rule] === match[2]);
+        if (!matchRule) {
+            throw new Error(`Game code has an invalid variant: ${part}`);
+        }
+
+        return { matchSize: Number(match[1]), matchRule, shiftEvery: parseInt(match[3], 36) };
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global classes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, GameCode };
+}
@@ -0,0 +1,163 @@
+// Game replays for Stack Memory Game
+// A replay is the starting board plus every flip; playback re-simulates the game from them
+
+class GameReplay {
+    // Current replay file format
+    static get VERSION() {
+        return 1;
+    }
+
+    // Start a replay for a freshly dealt board
+    static create({ player, mode, variant, gameCode, gameCards }) {
+        return {
+            version: GameReplay.VERSION,
+            player,
+            mode,
+            variant,
+            gameCode,
+            date: new Date().toISOString(),
+            cards: gameCards.map(card => ({
+                id: card.id,
+                pairId: card.pairId,
+                name: card.name,
+                icon: card.icon,
+                image: card.image,
+                color: card.color,
+                points: card.points,
+                rarity: card.rarity
+            })),
+            events: [],
+            result: null
+        };
+    }
+
+    // Check that parsed JSON looks like a replay, throwing on problems
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay must be a JSON object');
+        }
+        if (data.version !== GameReplay.VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (typeof data.player !== 'string' || typeof data.date !== 'string' || Number.isNaN(Date.parse(data.date))) {
+            throw new Error('Replay needs a player name and a date');
+        }
+        if (!Array.isArray(data.cards) || data.cards.length === 0) {
+            throw new Error('Replay has no cards');
+        }
+        // Replay cards are drawn on the board, so they must pass the same checks as deck cards
+        // (a board card's deck id is its pairId; its own id tells the copies apart)
+        const cardErrors = data.cards.flatMap((card, index) =>
+            DeckManager.validateCard(card && { ...card, id: card.pairId }, `Replay card #${index + 1}`));
+        if (cardErrors.length > 0) {
+            throw new Error(cardErrors.join('\n'));
+        }
+        if (!Array.isArray(data.events)) {
+            throw new Error('Replay has no events');
+        }
+        if (data.variant !== undefined && (!data.variant ||
+            !GameEngine.MATCH_SIZES.includes(data.variant.matchSize) ||
+            !GameEngine.MATCH_RULES.includes(data.variant.matchRule))) {
+            throw new Error('Replay has an unknown game variant');
+        }
+
+        const cardIds = new Set(data.cards.map(card => card.id));
+        data.events.forEach((event, index) => {
+            if (event.type === 'flip') {
+                if (!Number.isInteger(event.index) || event.index < 0 || event.index >= data.cards.length) {
+                    throw new Error(`Event ${index + 1} flips a card that does not exist`);
+                }
+            } else if (event.type === 'layout') {
+                if (!Array.isArray(event.order) || event.order.length !== data.cards.length ||
+                    event.order.some(id => !cardIds.has(id))) {
+                    throw new Error(`Event ${index + 1} has an invalid board layout`);
+                }
+            } else {
+                throw new Error(`Event ${index + 1} has unknown type "${event.type}"`);
+            }
+        });
+
+        return data;
+    }
+}
+
+// Steps through a replay, keeping the flipped/matched state of every card
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.reset();
+    }
+
+    // Back to the starting board
+    reset() {
+        // Replays recorded before variants are plain pairs
+        this.variant = { matchSize: 2, matchRule: 'identical', ...(this.replay.variant || {}) };
+        this.cards = this.replay.cards.map(card => ({ ...card, flipped: false, matched: false }));
+        this.position = 0;
+        this.faceUp = []; // Indexes of face-up, unmatched cards
+    }
+
+    get length() {
+        return this.replay.events.length;
+    }
+
+    isFinished() {
+        return this.position >= this.length;
+    }
+
+    // Time (ms from game start) of the next event
+    nextEventTime() {
+        const event = this.replay.events[this.position];
+        return event ? event.t : null;
+    }
+
+    // Apply the next event; returns it, or null at the end
+    step() {
+        if (this.isFinished()) return null;
+
+        const event = this.replay.events[this.position++];
+
+        // A missed group turns back over before anything else happens
+        if (this.faceUp.length === this.variant.matchSize) {
+            this.faceUp.forEach(index => {
+                this.cards[index].flipped = false;
+            });
+            this.faceUp = [];
+        }
+
+        if (event.type === 'flip') {
+            this.cards[event.index].flipped = true;
+            this.faceUp.push(event.index);
+
+            if (this.faceUp.length === this.variant.matchSize) {
+                const group = this.faceUp.map(index => this.cards[index]);
+                const keys = group.map(card => GameEngine.getMatchKey(card, this.variant.matchRule));
+                if (keys.every(key => key === keys[0])) {
+                    group.forEach(card => {
+                        card.matched = true;
+                    });
+                    this.faceUp = [];
+                }
+            }
+        } else if (event.type === 'layout') {
+            const byId = new Map(this.cards.map(card => [card.id, card]));
+            this.cards = event.order.map(id => byId.get(id));
+            this.faceUp = this.faceUp.filter(index => this.cards[index].flipped && !this.cards[index].matched);
+        }
+
+        return event;
+    }
+
+    // Jump to a position by replaying from the start
+    seek(position) {
+        this.reset();
+        while (this.position < position && !this.isFinished()) {
+            this.step();
+        }
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global classes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameReplay, ReplayPlayer };
+}
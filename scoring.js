@@ -0,0 +1,93 @@
+// Rarity-driven scoring for Stack Memory Game
+// Scores each match from card rarity, speed and combo streaks, and draws cards by rarity weight
+
+class ScoringSystem {
+    constructor(config = {}) {
+        const defaults = ScoringSystem.DEFAULTS;
+        this.rarityMultipliers = { ...defaults.rarityMultipliers, ...(config.rarityMultipliers || {}) };
+        this.rarityWeights = { ...defaults.rarityWeights, ...(config.rarityWeights || {}) };
+        this.comboBonus = config.comboBonus !== undefined ? config.comboBonus : defaults.comboBonus;
+        this.seenPenalty = config.seenPenalty !== undefined ? config.seenPenalty : defaults.seenPenalty;
+        this.speedWindow = config.speedWindow !== undefined ? config.speedWindow : defaults.speedWindow;
+        this.timeBonus = config.timeBonus !== undefined ? config.timeBonus : defaults.timeBonus;
+        this.hintCosts = { ...defaults.hintCosts, ...(config.hintCosts || {}) };
+    }
+
+    // Defaults used when gameConfig.scoring leaves something out
+    static get DEFAULTS() {
+        return {
+            rarityMultipliers: { common: 1, uncommon: 1.25, rare: 1.5, epic: 2, legendary: 2.5, mythic: 3 },
+            rarityWeights: { common: 40, uncommon: 25, rare: 15, epic: 10, legendary: 7, mythic: 3 },
+            comboBonus: 10,
+            seenPenalty: 5,
+            speedWindow: 10,
+            timeBonus: 5,
+            hintCosts: { partner: 20, overview: 40 }
+        };
+    }
+
+    // Multiplier for a card's rarity (unknown rarities count as common)
+    getRarityMultiplier(rarity) {
+        return this.rarityMultipliers[rarity] || 1;
+    }
+
+    // Score one match; streak counts consecutive matches including this one
+    // penalty and hintCost are deducted (seen-card penalties and hints used since the last match)
+    scoreMatch(card, { secondsSinceLastMatch = 0, streak = 1, penalty = 0, hintCost = 0 } = {}) {
+        const basePoints = card.points || 10;
+        const multiplier = this.getRarityMultiplier(card.rarity);
+        const base = Math.round(basePoints * multiplier);
+        const speed = Math.max(0, this.speedWindow - secondsSinceLastMatch) * this.timeBonus;
+        const combo = Math.max(0, streak - 1) * this.comboBonus;
+        const total = Math.max(0, base + speed + combo - penalty - hintCost);
+
+        return {
+            name: card.name,
+            icon: card.icon,
+            rarity: card.rarity,
+            basePoints,
+            multiplier,
+            base,
+            speed,
+            combo,
+            penalty,
+            hint: hintCost,
+            total
+        };
+    }
+
+    // Penalty for a miss that re-flipped cards the player had already seen
+    getSeenPenalty(seenCardCount) {
+        return seenCardCount * this.seenPenalty;
+    }
+
+    // Points a hint costs ('partner' or 'overview')
+    getHintCost(type) {
+        return this.hintCosts[type] || 0;
+    }
+
+    // Draw one card, weighted by rarity, using the given random source
+    drawWeightedCard(cards, rng) {
+        if (cards.length === 0) return null;
+
+        const weights = cards.map(card => Math.max(0, this.rarityWeights[card.rarity] || 0));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        // All weights zero: fall back to a uniform draw
+        if (totalWeight === 0) {
+            return cards[rng.nextInt(cards.length)];
+        }
+
+        let roll = rng.next() * totalWeight;
+        for (let i = 0; i < cards.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return cards[i];
+        }
+        return cards[cards.length - 1];
+    }
+}
+
+// Node (the test suite) loads this file with require; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoringSystem;
+}
@@ -1,29 +1,77 @@
 // Memory Card Game with Stack Operations - FIXED VERSION
-// Demonstrates Push, Pop, Peek, and Clear operations
+// Demonstrates Stack, Queue and Deque operations (push/pop/peek, enqueue/dequeue/front, clear)
 
 class StackMemoryGame {
     constructor() {
         // Game state variables
         this.gameData = null;
-        this.cardStack = []; // Main stack for card management (LIFO)
-        this.gameCards = []; // Cards currently in play
-        this.flippedCards = []; // Stack for flipped cards during gameplay
-        this.matchedPairs = 0;
-        this.moves = 0;
-        this.score = 0;
-        this.timer = 0;
-        this.gameActive = false;
-        this.gameStarted = false;
+        // Container, board and rules live in the engine (configured once data.json is loaded)
+        this.engine = new GameEngine();
+        this.engine.containerMode = localStorage.getItem('stackMemoryContainerMode') || CardContainer.DEFAULT_MODE;
+        this.engine.setVariant(this.loadVariant());
+        this.bindEngineEvents();
         this.timerInterval = null;
-        this.playerName = localStorage.getItem('stackMemoryPlayerName') || 'StackMaster';
-        
-        // Stack operation tracking
-        this.stackOperationsUsed = {
-            push: false,
-            pop: false,
-            peek: false,
-            clear: false
-        };
+        this.gameTimeouts = []; // Pending match/mismatch steps, suspended while paused
+        this.pausedAt = 0; // When the current pause began (replay timestamps skip pauses)
+        
+        // Saved players with lifetime stats ('StackMaster' stands in while nobody is logged in)
+        this.profiles = new ProfileManager();
+        this.profiles.importLegacyName();
+        this.playerName = this.profiles.getActiveName() || 'StackMaster';
+        
+        // Daily challenge streaks; dailyChallenge is set while today's challenge is being played
+        this.daily = new DailyChallenge();
+        this.dailyChallenge = null; // { dateKey, previous: { cards, mode } }
+        
+        // Pseudo-code pane for container operations (created once the DOM is ready)
+        this.visualizer = null;
+        
+        // Achievement tracking
+        this.achievementEngine = null;
+        this.gameAchievements = []; // Achievements unlocked during the current game
+        
+        // Per-player history of completed games
+        this.leaderboard = new Leaderboard();
+        
+        // Seeded deals can be shared and reproduced with game codes
+        this.pendingGameSeed = null; // Seed to use for the next START GAME
+        
+        // Undo/redo history of stack mutations
+        this.stackHistory = new StackHistory();
+        
+        // Custom decks (the built-in deck comes from data.json)
+        this.deckManager = new DeckManager();
+        this.editingDeckName = DeckManager.DEFAULT_DECK; // Deck shown in the deck editor
+        this.selectionOperation = null; // Add operation the card selection modal was opened for
+        this.selectedCards = []; // Cards picked with SELECT SEVERAL, in push order
+        
+        // Saved stack configurations (a few built-in ones ship with the game)
+        this.presetManager = new PresetManager();
+        this.selectedPresetName = Object.keys(PresetManager.BUILT_IN)[0]; // Preset shown in the presets modal
+        
+        // Replay recording and playback
+        this.replayLog = null; // Replay being recorded for the current game
+        this.replayStartTime = 0;
+        this.replayPlayer = null; // ReplayPlayer while the replay viewer is open
+        this.replayTimeout = null;
+        this.replaySpeed = 1;
+        this.replayPlaying = false;
+        
+        // Runtime gameConfig edits (baseGameConfig is the validated data.json config)
+        this.baseGameConfig = null;
+        this.pendingGameConfig = null; // Saved edits waiting for the current game to end
+        
+        // Sound effects, music and per-player settings
+        this.soundManager = new SoundManager();
+        this.playerSettings = null;
+        
+        // Accessibility state
+        this.boardColumns = 1; // Column count of the rendered grid, used for arrow keys
+        this.boardZoom = 1; // Zoom on top of the fitted card size (1 = fit the screen)
+        this.pinchStart = null; // { distance, zoom } while a two-finger pinch is in progress
+        this.layoutTimeout = null;
+        this.focusedCardIndex = 0; // Card holding the roving tabindex
+        this.openModals = []; // Open modals, topmost last (LIFO)
         
         // Initialize game after DOM is loaded
         this.init();
@@ -51,17 +99,25 @@ class StackMemoryGame {
             
             // Get DOM elements first
             this.getDOMElements();
+            this.visualizer = new OperationVisualizer(document.getElementById('pseudo-code-pane'));
             
             // Load game data
             await this.loadGameData();
+            this.achievementEngine = new AchievementEngine(this.gameData.achievements);
+            this.baseGameConfig = JSON.parse(JSON.stringify(this.gameData.gameConfig));
+            this.loadSavedGameRules();
+            this.applyPlayerSettings();
             
             // Setup event listeners
             this.setupEventListeners();
             
             // Initialize game state
             this.updateHighScore();
+            this.setContainerMode(this.engine.containerMode, false);
+            this.updateVariantControls();
             this.initializeDefaultStack();
             this.checkPlayerName();
+            this.offerResume();
             
             console.log('Game initialization complete!');
         } catch (error) {
@@ -102,34 +158,105 @@ class StackMemoryGame {
 
     // Load game data from JSON file or use fallback
     async loadGameData() {
+        const defaults = this.getFallbackData();
+        this.dataProblems = [];
+
         try {
             console.log('Loading game data...');
             const response = await fetch('data.json');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            this.gameData = await response.json();
-            console.log('Game data loaded from JSON successfully');
+            const loaded = await response.json();
+
+            // Validate and merge valid parts over the defaults
+            const result = GameDataValidator.validate(loaded, defaults);
+            this.gameData = result.data;
+            this.dataProblems = result.problems;
+            console.log(`Game data loaded from JSON with ${this.dataProblems.length} problem(s)`);
         } catch (error) {
             console.warn('Failed to load JSON, using fallback data:', error);
-            this.gameData = this.getFallbackData();
+            this.gameData = defaults;
+            this.dataProblems = [{
+                level: 'error',
+                path: 'data.json',
+                message: `Could not be loaded (${error.message}). Using built-in defaults.`
+            }];
         }
+
+        this.showDiagnostics(this.dataProblems);
+    }
+
+    // Show data.json problems in the diagnostics panel
+    showDiagnostics(problems) {
+        const panel = document.getElementById('diagnostics-panel');
+        const listEl = document.getElementById('diagnostics-list');
+        if (!panel || !listEl) return;
+
+        problems.forEach(problem => {
+            const log = problem.level === 'error' ? console.error : console.warn;
+            log(`data.json ${problem.path}: ${problem.message}`);
+        });
+
+        if (problems.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        listEl.innerHTML = '';
+        problems.forEach(problem => {
+            const itemEl = document.createElement('li');
+            itemEl.className = `diagnostic-item ${problem.level}`;
+            itemEl.textContent = `${problem.level === 'error' ? '❌' : '⚠️'} ${problem.path}: ${problem.message}`;
+            listEl.appendChild(itemEl);
+        });
+
+        const countEl = document.getElementById('diagnostics-count');
+        if (countEl) countEl.textContent = problems.length;
+
+        panel.style.display = 'block';
     }
 
-    // Fallback data if JSON loading fails
+    // Hide the diagnostics panel
+    dismissDiagnostics() {
+        const panel = document.getElementById('diagnostics-panel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    // Fallback data if JSON loading fails (mirrors data.json)
     getFallbackData() {
         return {
             gameConfig: {
                 maxCards: 48,
-                minCards: 2, // Changed from 4 to 2 for easier testing
-                defaultCards: 6, // Start with 6 cards as shown in your screenshot
-                stackOperations: { 
-                    pushAnimation: 300, 
-                    popAnimation: 300, 
-                    maxStackSize: 24 
-                },
+                minCards: 2,
+                defaultCards: 6,
+                gridColumns: "auto-fit",
                 flipDuration: 600,
-                matchDelay: 1000
+                matchDelay: 1000,
+                scoreMultiplier: 10,
+                timeBonus: 5,
+                stackOperations: {
+                    pushAnimation: 300,
+                    popAnimation: 300,
+                    maxStackSize: 24
+                },
+                scoring: {
+                    rarityMultipliers: { common: 1, uncommon: 1.25, rare: 1.5, epic: 2, legendary: 2.5, mythic: 3 },
+                    rarityWeights: { common: 40, uncommon: 25, rare: 15, epic: 10, legendary: 7, mythic: 3 },
+                    comboBonus: 10,
+                    seenPenalty: 5,
+                    speedWindow: 10,
+                    hintCosts: { partner: 20, overview: 40 }
+                },
+                difficultyModes: {
+                    timeAttack: { secondsPerPair: 8 },
+                    limitedMoves: { movesPerPair: 2 }
+                },
+                hints: {
+                    maxPerGame: 3,
+                    partnerDuration: 1200,
+                    overviewDuration: 500
+                }
             },
             cardData: [
                 {id: 1, name: "pixel-heart", icon: "❤️", color: "#E91E63", points: 10, rarity: "common"},
@@ -139,11 +266,73 @@ class StackMemoryGame {
                 {id: 5, name: "pixel-gem", icon: "💠", color: "#9C27B0", points: 12, rarity: "uncommon"},
                 {id: 6, name: "pixel-fire", icon: "🔥", color: "#FF5722", points: 12, rarity: "uncommon"},
                 {id: 7, name: "pixel-lightning", icon: "⚡", color: "#FFC107", points: 12, rarity: "uncommon"},
-                {id: 8, name: "pixel-coin", icon: "🪙", color: "#FF8F00", points: 10, rarity: "common"},
+                {id: 8, name: "pixel-coin", icon: "💰", color: "#FF8F00", points: 10, rarity: "common"},
                 {id: 9, name: "pixel-shield", icon: "🛡️", color: "#607D8B", points: 15, rarity: "rare"},
                 {id: 10, name: "pixel-sword", icon: "⚔️", color: "#795548", points: 15, rarity: "rare"},
                 {id: 11, name: "pixel-magic", icon: "✨", color: "#E1BEE7", points: 12, rarity: "uncommon"},
-                {id: 12, name: "pixel-rocket", icon: "🚀", color: "#2196F3", points: 20, rarity: "legendary"}
+                {id: 12, name: "pixel-rocket", icon: "🚀", color: "#2196F3", points: 20, rarity: "legendary"},
+                {id: 13, name: "pixel-crystal", icon: "🔮", color: "#673AB7", points: 18, rarity: "epic"},
+                {id: 14, name: "pixel-treasure", icon: "💰", color: "#4CAF50", points: 16, rarity: "rare"},
+                {id: 15, name: "pixel-potion", icon: "🧪", color: "#E91E63", points: 14, rarity: "uncommon"},
+                {id: 16, name: "pixel-key", icon: "🗝️", color: "#FF9800", points: 13, rarity: "uncommon"},
+                {id: 17, name: "pixel-scroll", icon: "📜", color: "#8BC34A", points: 11, rarity: "common"},
+                {id: 18, name: "pixel-bomb", icon: "💣", color: "#F44336", points: 17, rarity: "epic"},
+                {id: 19, name: "pixel-hourglass", icon: "⏳", color: "#795548", points: 15, rarity: "rare"},
+                {id: 20, name: "pixel-phoenix", icon: "🦅", color: "#FF5722", points: 25, rarity: "legendary"},
+                {id: 21, name: "pixel-unicorn", icon: "🦄", color: "#E91E63", points: 22, rarity: "legendary"},
+                {id: 22, name: "pixel-dragon", icon: "🐉", color: "#4CAF50", points: 30, rarity: "mythic"},
+                {id: 23, name: "pixel-wizard", icon: "🧙‍♂️", color: "#673AB7", points: 20, rarity: "legendary"},
+                {id: 24, name: "pixel-galaxy", icon: "🌌", color: "#3F51B5", points: 35, rarity: "mythic"}
+            ],
+            playerSettings: {
+                defaultName: "StackMaster",
+                maxNameLength: 20,
+                soundEnabled: true,
+                animationsEnabled: true,
+                stackVisualization: true
+            },
+            stackInstructions: [
+                "🔄 PUSH: Adds a new card pair to the game stack (LIFO)",
+                "🔄 POP: Removes the top card pair from the game stack",
+                "👁️ PEEK: View the top card in the stack without removing it",
+                "🚶 QUEUE: ENQUEUE adds at the back, DEQUEUE removes from the front (FIFO)",
+                "↔️ DEQUE: Push, pop and peek at both the front and the back",
+                "🗑️ CLEAR: Removes all cards from the stack",
+                "💡 HINT: Shows the partner of your face-up card; OVERVIEW flashes every face-down card. Hints cost points at your next match",
+                "🃏 VARIANTS: Match pairs, triplets or quads of the same card, color or rarity; shifting boards move every few moves",
+                "📚 PRESETS: Save your stack under a name and load it again in one click; import and export them as JSON",
+                "📦 BULK: Pick several cards to push in order, remove N at once, add a whole rarity, or reverse, sort and shuffle the stack",
+                "🔍 ZOOM: The board fits your screen; zoom with the + and − buttons, Ctrl + mouse wheel or a two-finger pinch",
+                "🎯 Minimum 2 pairs needed to start the game"
+            ],
+            achievements: [
+                {
+                    id: "stack_master",
+                    name: "Stack Master",
+                    description: "Use 20+ cards in a single game",
+                    icon: "🏗️",
+                    reward: 200,
+                    trigger: "gameComplete",
+                    conditions: [{ stat: "totalCards", op: ">=", value: 20 }]
+                },
+                {
+                    id: "minimalist",
+                    name: "Minimalist",
+                    description: "Complete game with only 4 cards",
+                    icon: "🎯",
+                    reward: 300,
+                    trigger: "gameComplete",
+                    conditions: [{ stat: "totalCards", op: "<=", value: 4 }]
+                },
+                {
+                    id: "stack_operations",
+                    name: "Stack Operations Expert",
+                    description: "Use all stack operations in one session",
+                    icon: "💾",
+                    reward: 150,
+                    trigger: "stackOperation",
+                    conditions: [{ stat: "operationsUsed", op: ">=", value: 4 }]
+                }
             ]
         };
     }
@@ -153,24 +342,154 @@ class StackMemoryGame {
         console.log('Setting up event listeners...');
         
         try {
+            // Diagnostics panel
+            this.addEventListenerSafe('dismiss-diagnostics-btn', 'click', () => this.dismissDiagnostics());
+            
             // Stack operation buttons
-            this.addEventListenerSafe('push-card-btn', 'click', () => this.showCardSelection());
-            this.addEventListenerSafe('pop-card-btn', 'click', () => this.popCard());
-            this.addEventListenerSafe('peek-stack-btn', 'click', () => this.peekStack());
+            // (push/pop/peek-style buttons are rendered per mode by renderContainerButtons)
+            this.addEventListenerSafe('container-mode-select', 'change', (e) => this.setContainerMode(e.target.value));
+            this.addEventListenerSafe('random-push-btn', 'click', () => this.randomPush());
             this.addEventListenerSafe('clear-stack-btn', 'click', () => this.clearStack());
+            this.addEventListenerSafe('deck-btn', 'click', () => this.showDeckEditor());
+            this.addEventListenerSafe('preset-btn', 'click', () => this.showPresets());
+            this.addEventListenerSafe('undo-btn', 'click', () => this.undoStackOperation());
+            this.addEventListenerSafe('redo-btn', 'click', () => this.redoStackOperation());
+            this.addEventListenerSafe('history-btn', 'click', () => this.showHistoryLog());
+            this.addEventListenerSafe('close-history-btn', 'click', () => this.closeHistoryLog());
             
             // Game control buttons
             this.addEventListenerSafe('start-btn', 'click', () => this.startGame());
             this.addEventListenerSafe('reset-btn', 'click', () => this.resetGame());
             this.addEventListenerSafe('pause-btn', 'click', () => this.pauseGame());
+            this.addEventListenerSafe('overlay-resume-btn', 'click', () => this.pauseGame());
+            this.addEventListenerSafe('hint-btn', 'click', () => this.useHint('partner'));
+            this.addEventListenerSafe('overview-hint-btn', 'click', () => this.useHint('overview'));
             this.addEventListenerSafe('logout-btn', 'click', () => this.logout());
+            this.addEventListenerSafe('mute-btn', 'click', () => this.toggleMute());
+            this.addEventListenerSafe('settings-btn', 'click', () => this.showSettings());
+            this.addEventListenerSafe('close-settings-btn', 'click', () => this.closeSettings());
+            this.addEventListenerSafe('setting-sound', 'change', (e) => this.updatePlayerSetting('soundEnabled', e.target.checked));
+            this.addEventListenerSafe('setting-music', 'change', (e) => this.updatePlayerSetting('musicEnabled', e.target.checked));
+            this.addEventListenerSafe('setting-animations', 'change', (e) => this.updatePlayerSetting('animationsEnabled', e.target.checked));
+            this.addEventListenerSafe('setting-pseudo-code', 'change', (e) => this.updatePlayerSetting('pseudoCodeEnabled', e.target.checked));
+            this.addEventListenerSafe('setting-volume', 'input', (e) => this.updatePlayerSetting('volume', parseInt(e.target.value) / 100));
+            this.addEventListenerSafe('setting-volume', 'change', () => this.soundManager.play('flip'));
+            this.addEventListenerSafe('save-rules-btn', 'click', () => this.saveGameRules());
+            
+            // Replay viewer
+            this.addEventListenerSafe('replay-btn', 'click', () => this.watchLastReplay());
+            this.addEventListenerSafe('watch-replay-btn', 'click', () => {
+                this.closeModal();
+                this.watchLastReplay();
+            });
+            this.addEventListenerSafe('replay-play-btn', 'click', () => this.toggleReplayPlayback());
+            this.addEventListenerSafe('replay-step-btn', 'click', () => this.stepReplay());
+            this.addEventListenerSafe('replay-back-btn', 'click', () => this.stepReplayBack());
+            this.addEventListenerSafe('replay-speed', 'change', (e) => this.setReplaySpeed(parseFloat(e.target.value)));
+            this.addEventListenerSafe('replay-export-btn', 'click', () => this.exportReplay());
+            this.addEventListenerSafe('replay-import-btn', 'click', () => document.getElementById('replay-file-input').click());
+            this.addEventListenerSafe('replay-file-input', 'change', (e) => this.importReplay(e.target));
+            this.addEventListenerSafe('replay-close-btn', 'click', () => this.closeReplay());
+            this.addEventListenerSafe('reset-rules-btn', 'click', () => this.resetGameRules());
+            this.addEventListenerSafe('achievements-btn', 'click', () => this.showAchievementsGallery());
+            this.addEventListenerSafe('leaderboard-btn', 'click', () => this.showLeaderboard());
+            this.addEventListenerSafe('stats-btn', 'click', () => this.showStatsDashboard());
+            this.addEventListenerSafe('close-stats-btn', 'click', () => this.closeStatsDashboard());
+            this.addEventListenerSafe('share-code-btn', 'click', () => this.shareGameCode());
+            this.addEventListenerSafe('load-code-btn', 'click', () => this.loadGameCode());
+            this.addEventListenerSafe('resume-game-btn', 'click', () => this.resumeSavedGame());
+            this.addEventListenerSafe('multiplayer-btn', 'click', () => this.toggleMultiplayer());
+            this.addEventListenerSafe('daily-btn', 'click', () => this.startDailyChallenge());
+            this.addEventListenerSafe('mode-select', 'change', (e) => this.setGameMode(e.target.value));
+            this.addEventListenerSafe('match-size-select', 'change', (e) => this.setVariant({ matchSize: parseInt(e.target.value) }));
+            this.addEventListenerSafe('match-rule-select', 'change', (e) => this.setVariant({ matchRule: e.target.value }));
+            this.addEventListenerSafe('shift-select', 'change', (e) => this.setVariant({ shiftEvery: parseInt(e.target.value) }));
+            this.addEventListenerSafe('retry-btn', 'click', () => this.retryAfterLoss());
+            this.addEventListenerSafe('close-lost-btn', 'click', () => this.closeGameLostModal());
+            this.addEventListenerSafe('leaderboard-mode-filter', 'change', () => this.renderLeaderboard());
+            
+            // Deck editor
+            this.addEventListenerSafe('deck-select', 'change', (e) => this.selectEditingDeck(e.target.value));
+            this.addEventListenerSafe('new-deck-btn', 'click', () => this.createDeck());
+            this.addEventListenerSafe('delete-deck-btn', 'click', () => this.deleteDeck());
+            this.addEventListenerSafe('use-deck-btn', 'click', () => this.useDeck());
+            this.addEventListenerSafe('deck-card-form', 'submit', (e) => {
+                e.preventDefault();
+                this.addDeckCard();
+            });
+            this.addEventListenerSafe('import-deck-btn', 'click', () => document.getElementById('deck-file-input').click());
+            this.addEventListenerSafe('deck-file-input', 'change', (e) => this.importDeck(e.target));
+            this.addEventListenerSafe('export-deck-btn', 'click', () => this.exportDeck());
+            this.addEventListenerSafe('close-deck-btn', 'click', () => this.closeDeckEditor());
+            
+            // Stack presets
+            this.addEventListenerSafe('preset-select', 'change', (e) => this.selectPreset(e.target.value));
+            this.addEventListenerSafe('load-preset-btn', 'click', () => this.loadPreset());
+            this.addEventListenerSafe('save-preset-btn', 'click', () => this.saveStackPreset());
+            this.addEventListenerSafe('rename-preset-btn', 'click', () => this.renamePreset());
+            this.addEventListenerSafe('delete-preset-btn', 'click', () => this.deletePreset());
+            this.addEventListenerSafe('import-preset-btn', 'click', () => document.getElementById('preset-file-input').click());
+            this.addEventListenerSafe('preset-file-input', 'change', (e) => this.importPresets(e.target));
+            this.addEventListenerSafe('export-preset-btn', 'click', () => this.exportPresets());
+            this.addEventListenerSafe('close-preset-btn', 'click', () => this.closePresets());
+            this.addEventListenerSafe('start-multiplayer-btn', 'click', () => this.startMultiplayerGame());
+            this.addEventListenerSafe('cancel-multiplayer-btn', 'click', () => this.closeMultiplayerSetup());
+            this.addEventListenerSafe('hotseat-player-count', 'change', () => this.renderHotseatNameInputs());
+            this.addEventListenerSafe('discard-game-btn', 'click', () => this.discardSavedGame());
             
             // Modal buttons
             this.addEventListenerSafe('play-again-btn', 'click', () => this.playAgain());
             this.addEventListenerSafe('close-modal-btn', 'click', () => this.closeModal());
             this.addEventListenerSafe('save-name-btn', 'click', () => this.saveName());
             this.addEventListenerSafe('cancel-selection-btn', 'click', () => this.closeCardSelection());
+            this.addEventListenerSafe('multi-select-toggle', 'change', () => this.clearCardSelection());
+            this.addEventListenerSafe('push-selected-btn', 'click', () => this.pushSelectedCards());
+            
+            // Bulk stack operations
+            this.addEventListenerSafe('remove-n-btn', 'click', () => {
+                const countInput = document.getElementById('remove-count-input');
+                this.popCards(parseInt(countInput ? countInput.value : '1'));
+            });
+            this.addEventListenerSafe('add-rarity-btn', 'click', () => {
+                const raritySelect = document.getElementById('bulk-rarity-select');
+                this.pushRarity(raritySelect ? raritySelect.value : 'common');
+            });
+            CardContainer.REORDERS.forEach(reorder => {
+                this.addEventListenerSafe(`${reorder.id}-stack-btn`, 'click', () => this.reorderStack(reorder.id));
+            });
             this.addEventListenerSafe('close-peek-btn', 'click', () => this.closePeekModal());
+            this.addEventListenerSafe('close-achievements-btn', 'click', () => this.closeAchievementsGallery());
+            this.addEventListenerSafe('close-leaderboard-btn', 'click', () => this.closeLeaderboard());
+            this.addEventListenerSafe('leaderboard-player-filter', 'change', () => this.renderLeaderboard());
+            this.addEventListenerSafe('leaderboard-size-filter', 'change', () => this.renderLeaderboard());
+            this.addEventListenerSafe('leaderboard-variant-filter', 'change', () => this.renderLeaderboard());
+            
+            // Modal focus trap and Escape handling
+            document.addEventListener('keydown', (e) => this.handleModalKeydown(e));
+            
+            // Undo/redo shortcuts
+            document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+            
+            // Capture the latest timer value when the page is closed or reloaded
+            window.addEventListener('pagehide', () => this.saveGameState());
+            
+            // Board zoom: buttons, Ctrl + wheel and pinch; resizing or rotating re-fits the board
+            this.addEventListenerSafe('zoom-in-btn', 'click', () => this.setBoardZoom(this.boardZoom * BoardLayout.ZOOM.step));
+            this.addEventListenerSafe('zoom-out-btn', 'click', () => this.setBoardZoom(this.boardZoom / BoardLayout.ZOOM.step));
+            this.addEventListenerSafe('zoom-fit-btn', 'click', () => this.setBoardZoom(1));
+            this.addEventListenerSafe('game-board', 'wheel', (e) => this.handleBoardWheel(e));
+            this.addEventListenerSafe('game-board', 'touchstart', (e) => this.handleBoardTouch(e));
+            this.addEventListenerSafe('game-board', 'touchmove', (e) => this.handleBoardTouch(e));
+            this.addEventListenerSafe('game-board', 'touchend', (e) => this.handleBoardTouch(e));
+            window.addEventListener('resize', () => this.scheduleBoardLayout());
+            window.addEventListener('orientationchange', () => this.scheduleBoardLayout());
+            
+            // Pause automatically when the tab is hidden so the clock does not run unseen
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden && this.engine.gameActive) {
+                    this.pauseGame(true);
+                }
+            });
             
             // Player name input
             const playerNameInput = document.getElementById('player-name');
@@ -202,124 +521,350 @@ class StackMemoryGame {
     // Initialize with default cards
     initializeDefaultStack() {
         console.log('Initializing default stack...');
-        const defaultCount = Math.min(this.gameData.gameConfig.defaultCards, this.gameData.cardData.length);
+        const activeCards = this.getActiveCards();
+        const defaultCount = Math.min(this.gameData.gameConfig.defaultCards, activeCards.length);
         
         // Clear existing stack
-        this.cardStack = [];
+        this.engine.setCards([]);
         
         // Add default cards
         for (let i = 0; i < defaultCount; i++) {
-            this.pushCardToStack(this.gameData.cardData[i], false); // Silent push
+            this.pushCardToStack(activeCards[i], false); // Silent push
         }
         
+        // A fresh stack starts a fresh history
+        this.stackHistory.clear();
+        this.stackHistory.addLogEntry('INIT', `${defaultCount} default cards`, this.engine.cardStack.length);
+        
         this.updateStackDisplay();
         this.updateButtonStates(); // Important: Update button states
         this.showMessage(`Initialized with ${defaultCount} card pairs. Ready to start game!`);
         
-        console.log(`Stack initialized with ${this.cardStack.length} cards`);
+        console.log(`Stack initialized with ${this.engine.cardStack.length} cards`);
+    }
+
+    // Name of the current container mode, e.g. "Queue"
+    getContainerName() {
+        return CardContainer.getMode(this.engine.containerMode).name;
+    }
+
+    // Switch between Stack, Queue and Deque (the cards stay in place)
+    setContainerMode(mode, announce = true) {
+        if (!CardContainer.MODES[mode]) {
+            mode = CardContainer.DEFAULT_MODE;
+        }
+
+        const select = document.getElementById('container-mode-select');
+        if (this.engine.gameStarted) {
+            if (announce) this.showMessage('Cannot change the container during active game!');
+            if (select) select.value = this.engine.containerMode;
+            return;
+        }
+
+        this.engine.setContainerMode(mode);
+        localStorage.setItem('stackMemoryContainerMode', mode);
+        if (select) select.value = mode;
+
+        this.renderContainerButtons();
+        this.updateStackButtonStates();
+
+        if (announce) {
+            const { name, order } = CardContainer.getMode(mode);
+            this.stackHistory.addLogEntry('MODE', name, this.engine.cardStack.length);
+            this.showMessage(`🔀 Container is now a ${name} (${order})!`);
+        }
+    }
+
+    // Render one button per operation of the current mode
+    renderContainerButtons() {
+        const buttonsEl = document.getElementById('container-op-buttons');
+        if (!buttonsEl) {
+            console.error('Container operation buttons element not found');
+            return;
+        }
+
+        buttonsEl.innerHTML = '';
+        CardContainer.getMode(this.engine.containerMode).operations.forEach(operation => {
+            const button = document.createElement('button');
+            button.id = operation.buttonId || `${operation.id}-btn`;
+            button.className = `pixel-btn ${operation.kind === 'add' ? 'push' : operation.kind === 'remove' ? 'pop' : 'peek'}-btn`;
+            button.dataset.operation = operation.id;
+            button.textContent = operation.label;
+            button.addEventListener('click', () => this.runContainerOperation(operation.id));
+            buttonsEl.appendChild(button);
+        });
+    }
+
+    // Run an operation of the current mode by id
+    runContainerOperation(operationId) {
+        const operation = CardContainer.getOperation(this.engine.containerMode, operationId);
+        if (!operation) {
+            console.warn(`Unknown ${this.engine.containerMode} operation: ${operationId}`);
+            return;
+        }
+
+        if (operation.kind === 'add') {
+            this.showCardSelection(operation);
+        } else if (operation.kind === 'remove') {
+            this.popCard(operation);
+        } else {
+            this.peekStack(operation);
+        }
     }
 
-    // STACK OPERATION: Push card to stack
-    pushCardToStack(cardData, showMessage = true) {
-        if (this.cardStack.length >= this.gameData.gameConfig.stackOperations.maxStackSize) {
-            if (showMessage) this.showMessage('Stack is full! Cannot push more cards.');
+    // STACK OPERATION: Push card to stack (or enqueue / push at either end of a deque)
+    pushCardToStack(cardData, showMessage = true, operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.engine.containerMode, 'add');
+
+        if (this.engine.isFull()) {
+            if (showMessage) {
+                this.visualizeOperation(operation, { failed: true });
+                this.showMessage(`${this.getContainerName()} is full! Cannot add more cards.`);
+            }
             return false;
         }
 
-        // Create card with unique ID
-        const newCard = {
-            ...cardData,
-            stackId: Date.now() + Math.random(),
-            timestamp: new Date().toISOString()
-        };
+        const before = [...this.engine.cardStack];
 
-        this.cardStack.push(newCard);
-        this.stackOperationsUsed.push = true;
-        this.updateStackDisplay();
-        this.updateButtonStates(); // Update button states after stack change
+        // The engine gives the card a unique stackId; the display updates on containerChanged
+        // Silent pushes load cards for the player, so they do not count toward the operations bonus
+        if (!this.engine.addCard(cardData, operation, showMessage)) {
+            if (showMessage) this.showMessage('Cannot modify stack during active game!');
+            return false;
+        }
         
         if (showMessage) {
-            this.showMessage(`✅ PUSHED: ${cardData.name} added to stack!`);
+            this.visualizeOperation(operation);
+            this.stackHistory.record(operation.label, cardData.name, before, this.engine.cardStack);
+            this.soundManager.play('push');
+            this.showMessage(`✅ ${operation.label}: ${cardData.name} added at the ${operation.end === 'front' ? 'front' : this.engine.containerMode === 'stack' ? 'top' : 'back'}!`);
+            this.recordStackOperation(operation.id);
         }
         
-        console.log(`Pushed card: ${cardData.name}, Stack size: ${this.cardStack.length}`);
+        console.log(`Pushed card: ${cardData.name}, Stack size: ${this.engine.cardStack.length}`);
         return true;
     }
 
-    // STACK OPERATION: Pop card from stack
-    popCard() {
-        if (this.gameActive) {
+    // STACK OPERATION: Pop card from stack (or dequeue / pop at either end of a deque)
+    popCard(operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.engine.containerMode, 'remove');
+
+        if (this.engine.gameStarted) {
             this.showMessage('Cannot modify stack during active game!');
             return;
         }
 
-        if (this.cardStack.length === 0) {
-            this.showMessage('Stack is empty! Nothing to pop.');
+        if (this.engine.isEmpty()) {
+            this.visualizeOperation(operation, { failed: true });
+            this.showMessage(`${this.getContainerName()} is empty! Nothing to remove.`);
             return;
         }
 
-        const poppedCard = this.cardStack.pop();
-        this.stackOperationsUsed.pop = true;
-        this.updateStackDisplay();
-        this.updateButtonStates(); // Update button states after stack change
-        this.showMessage(`❌ POPPED: ${poppedCard.name} removed from stack!`);
+        const before = [...this.engine.cardStack];
+        const poppedCard = this.engine.removeCard(operation);
+        this.visualizeOperation(operation);
+        this.stackHistory.record(operation.label, poppedCard.name, before, this.engine.cardStack);
+        this.soundManager.play('pop');
+        this.showMessage(`❌ ${operation.label}: ${poppedCard.name} removed from the ${this.getContainerName().toLowerCase()}!`);
+        this.recordStackOperation(operation.id);
         
-        console.log(`Popped card: ${poppedCard.name}, Stack size: ${this.cardStack.length}`);
+        console.log(`Popped card: ${poppedCard.name}, Stack size: ${this.engine.cardStack.length}`);
+    }
+
+    // BULK OPERATION: Add several cards in order with one operation (a single UNDO step)
+    pushCards(cards, operation = null, detail = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.engine.containerMode, 'add');
+
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot modify stack during active game!');
+            return false;
+        }
+
+        if (this.engine.isFull()) {
+            this.visualizeOperation(operation, { failed: true });
+            this.showMessage(`${this.getContainerName()} is full! Cannot add more cards.`);
+            return false;
+        }
+
+        const before = [...this.engine.cardStack];
+        const added = this.engine.addCards(cards, operation);
+        const skipped = cards.length - added.length;
+        this.visualizeOperation(operation);
+        this.stackHistory.record(`${operation.label} ×${added.length}`, detail || added.map(card => card.name).join(', '), before, this.engine.cardStack);
+        this.soundManager.play('push');
+        this.showMessage(`✅ ${operation.label} ×${added.length}: ${detail || added.map(card => card.name).join(', ')} added!${skipped > 0 ? ` ${skipped} skipped - the ${this.getContainerName().toLowerCase()} holds ${this.gameData.gameConfig.stackOperations.maxStackSize} cards.` : ''}`);
+        this.recordStackOperation(operation.id);
+
+        console.log(`Pushed ${added.length} cards, Stack size: ${this.engine.cardStack.length}`);
+        return true;
+    }
+
+    // BULK OPERATION: Add every card of a rarity that is not in the stack yet
+    pushRarity(rarity) {
+        const stackCardIds = this.engine.cardStack.map(card => card.id);
+        const cards = this.getActiveCards().filter(card => card.rarity === rarity && !stackCardIds.includes(card.id));
+
+        if (cards.length === 0) {
+            this.showMessage(`No ${rarity} cards left to add from this deck!`);
+            return;
+        }
+
+        this.pushCards(cards, null, `${rarity} cards`);
+    }
+
+    // BULK OPERATION: Remove up to count cards with the mode's remove operation
+    popCards(count) {
+        const operation = CardContainer.getDefaultOperation(this.engine.containerMode, 'remove');
+
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot modify stack during active game!');
+            return;
+        }
+
+        if (!Number.isInteger(count) || count < 1) {
+            this.showMessage('Enter how many cards to remove (1 or more).');
+            return;
+        }
+
+        if (this.engine.isEmpty()) {
+            this.visualizeOperation(operation, { failed: true });
+            this.showMessage(`${this.getContainerName()} is empty! Nothing to remove.`);
+            return;
+        }
+
+        const before = [...this.engine.cardStack];
+        const removed = this.engine.removeCards(count, operation);
+        const names = removed.map(card => card.name).join(', ');
+        this.visualizeOperation(operation);
+        this.stackHistory.record(`${operation.label} ×${removed.length}`, names, before, this.engine.cardStack);
+        this.soundManager.play('pop');
+        this.showMessage(`❌ ${operation.label} ×${removed.length}: ${names} removed${removed.length < count ? ` (only ${removed.length} were there)` : ''}!`);
+        this.recordStackOperation(operation.id);
+
+        console.log(`Popped ${removed.length} cards, Stack size: ${this.engine.cardStack.length}`);
+    }
+
+    // TEACHING OPERATION: Reverse, sort by points or shuffle the whole container
+    reorderStack(reorderId) {
+        const operation = CardContainer.REORDERS.find(reorder => reorder.id === reorderId);
+        if (!operation) {
+            console.warn(`Unknown reorder operation: ${reorderId}`);
+            return;
+        }
+
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot modify stack during active game!');
+            return;
+        }
+
+        if (this.engine.cardStack.length < 2) {
+            this.showMessage(`Need at least 2 cards to ${operation.label.toLowerCase()}!`);
+            return;
+        }
+
+        const before = [...this.engine.cardStack];
+        this.engine.reorderCards(reorderId);
+        const end = this.engine.containerMode === 'stack' ? 'top' : 'back';
+        this.visualizeOperation(operation);
+        this.stackHistory.record(operation.label, `${before.length} cards`, before, this.engine.cardStack);
+        this.soundManager.play('reorder');
+        this.showMessage(`🔃 ${operation.label}: ${before.length} cards reordered - ${this.engine.cardStack[this.engine.cardStack.length - 1].name} is now at the ${end}!`);
     }
 
-    // STACK OPERATION: Peek at top card
-    peekStack() {
-        if (this.cardStack.length === 0) {
-            this.showMessage('Stack is empty! Nothing to peek.');
+    // STACK OPERATION: Peek at top card (or the front/back of a queue or deque)
+    peekStack(operation = null) {
+        operation = operation || CardContainer.getDefaultOperation(this.engine.containerMode, 'peek');
+
+        if (this.engine.isEmpty()) {
+            this.visualizeOperation(operation, { failed: true });
+            this.showMessage(`${this.getContainerName()} is empty! Nothing to peek.`);
             return;
         }
 
-        const topCard = this.cardStack[this.cardStack.length - 1];
-        this.stackOperationsUsed.peek = true;
-        this.showPeekModal(topCard);
+        const topCard = this.engine.peekCard(operation);
+        this.visualizeOperation(operation, { highlight: topCard });
+        const position = operation.end === 'front' ? 'FRONT' : this.engine.containerMode === 'stack' ? 'TOP' : 'BACK';
+        this.stackHistory.addLogEntry(operation.label, topCard.name, this.engine.cardStack.length);
+        this.soundManager.play('peek');
+        this.showPeekModal(topCard, position);
+        this.recordStackOperation(operation.id);
         
         console.log(`Peeked at card: ${topCard.name}`);
     }
 
     // STACK OPERATION: Clear entire stack
     clearStack() {
-        if (this.gameActive) {
+        if (this.engine.gameStarted) {
             this.showMessage('Cannot clear stack during active game!');
             return;
         }
 
-        if (this.cardStack.length === 0) {
-            this.showMessage('Stack is already empty!');
+        if (this.engine.isEmpty()) {
+            this.visualizeOperation({ id: 'clear', kind: 'clear' }, { failed: true });
+            this.showMessage(`${this.getContainerName()} is already empty!`);
             return;
         }
 
-        if (confirm(`Clear all ${this.cardStack.length} cards from stack?`)) {
-            const clearedCount = this.cardStack.length;
-            this.cardStack = [];
-            this.stackOperationsUsed.clear = true;
-            this.updateStackDisplay();
-            this.updateButtonStates(); // Update button states after stack change
-            this.showMessage(`🗑️ CLEARED: Removed ${clearedCount} cards from stack!`);
+        if (confirm(`Clear all ${this.engine.cardStack.length} cards from the ${this.getContainerName().toLowerCase()}?`)) {
+            const before = [...this.engine.cardStack];
+            const clearedCount = this.engine.clearCards();
+            this.visualizeOperation({ id: 'clear', kind: 'clear' });
+            this.stackHistory.record('CLEAR', `${clearedCount} cards`, before, this.engine.cardStack);
+            this.soundManager.play('clear');
+            this.showMessage(`🗑️ CLEARED: Removed ${clearedCount} cards from stack! (UNDO restores them)`);
+            this.recordStackOperation('clear');
             
             console.log(`Cleared stack, removed ${clearedCount} cards`);
         }
     }
 
+    // Count a player-run container operation in the profile stats and check achievements
+    recordStackOperation(operationId) {
+        this.profiles.recordOperation(this.playerName, operationId);
+        this.checkAchievements('stackOperation');
+    }
+
+    // STACK OPERATION: Push a random card, weighted by rarity
+    randomPush() {
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot modify stack during active game!');
+            return;
+        }
+
+        if (this.engine.isFull()) {
+            this.showMessage(`${this.getContainerName()} is full! Remove some cards first.`);
+            return;
+        }
+
+        const stackCardIds = this.engine.cardStack.map(card => card.id);
+        const availableCards = this.getActiveCards().filter(card => !stackCardIds.includes(card.id));
+        const card = this.engine.scoring.drawWeightedCard(availableCards, this.engine.rng);
+
+        if (!card) {
+            this.showMessage('All cards are already in the stack!');
+            return;
+        }
+
+        if (this.pushCardToStack(card)) {
+            this.showMessage(`🎲 RANDOM PUSH: drew ${card.name} (${card.rarity})!`);
+        }
+    }
+
     // Show card selection modal for push operation
-    showCardSelection() {
-        if (this.gameActive) {
+    showCardSelection(operation = null) {
+        if (this.engine.gameStarted) {
             this.showMessage('Cannot modify stack during active game!');
             return;
         }
 
-        if (this.cardStack.length >= this.gameData.gameConfig.stackOperations.maxStackSize) {
-            this.showMessage('Stack is full! Pop some cards first.');
+        if (this.engine.isFull()) {
+            this.showMessage(`${this.getContainerName()} is full! Remove some cards first.`);
             return;
         }
 
         // Get available cards (not already in stack)
-        const stackCardIds = this.cardStack.map(card => card.id);
-        const availableCards = this.gameData.cardData.filter(card => !stackCardIds.includes(card.id));
+        const stackCardIds = this.engine.cardStack.map(card => card.id);
+        const availableCards = this.getActiveCards().filter(card => !stackCardIds.includes(card.id));
 
         if (availableCards.length === 0) {
             this.showMessage('All cards are already in the stack!');
@@ -334,38 +879,108 @@ class StackMemoryGame {
         }
 
         availableCardsEl.innerHTML = '';
+        this.selectionOperation = operation;
+        this.selectedCards = [];
+        this.updateCardSelection();
 
         availableCards.forEach(card => {
             const cardEl = document.createElement('div');
             cardEl.className = 'available-card';
+            cardEl.dataset.cardId = card.id;
+            cardEl.setAttribute('role', 'button');
+            cardEl.setAttribute('tabindex', '0');
+            cardEl.setAttribute('aria-label', `Add ${card.name}, ${card.points} points, ${card.rarity}`);
             cardEl.innerHTML = `
-                <div class="available-card-icon">${card.icon}</div>
-                <div class="available-card-name">${card.name}</div>
+                <span class="selection-order" hidden></span>
+                <div class="available-card-icon" aria-hidden="true">${this.getCardIconHTML(card)}</div>
+                <div class="available-card-name">${this.escapeHTML(card.name)}</div>
             `;
             cardEl.style.backgroundColor = card.color;
-            cardEl.addEventListener('click', () => {
-                this.pushCardToStack(card);
+            const selectCard = () => {
+                const multiSelect = document.getElementById('multi-select-toggle');
+                if (multiSelect && multiSelect.checked) {
+                    this.toggleCardSelection(card);
+                    return;
+                }
+                this.pushCardToStack(card, true, operation);
                 this.closeCardSelection();
+            };
+            cardEl.addEventListener('click', selectCard);
+            cardEl.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    selectCard();
+                }
             });
             availableCardsEl.appendChild(cardEl);
         });
 
-        const modal = document.getElementById('card-selection-modal');
-        if (modal) {
-            modal.style.display = 'flex';
-        }
+        this.showModal('card-selection-modal');
     }
 
     // Close card selection modal
     closeCardSelection() {
-        const modal = document.getElementById('card-selection-modal');
-        if (modal) {
-            modal.style.display = 'none';
+        this.hideModal('card-selection-modal');
+    }
+
+    // Add a card to the multi-selection, or take it out again (limited to the free places)
+    toggleCardSelection(card) {
+        const position = this.selectedCards.indexOf(card);
+        if (position !== -1) {
+            this.selectedCards.splice(position, 1);
+        } else if (this.selectedCards.length < this.getFreePlaces()) {
+            this.selectedCards.push(card);
+        }
+        this.updateCardSelection();
+    }
+
+    // Forget the multi-selection (e.g. when SELECT SEVERAL is switched)
+    clearCardSelection() {
+        this.selectedCards = [];
+        this.updateCardSelection();
+    }
+
+    // Free places left in the container
+    getFreePlaces() {
+        return this.gameData.gameConfig.stackOperations.maxStackSize - this.engine.cardStack.length;
+    }
+
+    // Number the selected cards in push order and update the PUSH SELECTED button
+    updateCardSelection() {
+        const multiSelect = document.getElementById('multi-select-toggle');
+        const pushSelectedBtn = document.getElementById('push-selected-btn');
+        const operation = this.selectionOperation || CardContainer.getDefaultOperation(this.engine.containerMode, 'add');
+
+        document.querySelectorAll('#available-cards .available-card').forEach(cardEl => {
+            const position = this.selectedCards.findIndex(card => String(card.id) === cardEl.dataset.cardId);
+            const orderEl = cardEl.querySelector('.selection-order');
+            cardEl.classList.toggle('selected', position !== -1);
+            cardEl.setAttribute('aria-pressed', String(position !== -1));
+            if (orderEl) {
+                orderEl.hidden = position === -1;
+                orderEl.textContent = position + 1;
+            }
+        });
+
+        if (pushSelectedBtn) {
+            pushSelectedBtn.hidden = !(multiSelect && multiSelect.checked);
+            pushSelectedBtn.disabled = this.selectedCards.length === 0;
+            pushSelectedBtn.textContent = `${operation.label} ×${this.selectedCards.length} (${this.getFreePlaces()} FREE)`;
         }
     }
 
+    // Push the multi-selection in the order the cards were picked
+    pushSelectedCards() {
+        if (this.selectedCards.length === 0) return;
+
+        const cards = this.selectedCards;
+        this.selectedCards = [];
+        this.closeCardSelection();
+        this.pushCards(cards, this.selectionOperation);
+    }
+
     // Show peek modal
-    showPeekModal(card) {
+    showPeekModal(card, position = 'TOP') {
         const peekDisplay = document.getElementById('peek-card-display');
         if (!peekDisplay) {
             console.error('Peek display element not found');
@@ -374,103 +989,237 @@ class StackMemoryGame {
 
         peekDisplay.innerHTML = `
             <div class="peek-card">
-                <div class="peek-card-icon">${card.icon}</div>
+                <div class="peek-card-icon">${this.getCardIconHTML(card)}</div>
                 <div class="peek-card-info">
-                    <div><strong>${card.name}</strong></div>
+                    <div><strong>${this.escapeHTML(card.name)}</strong></div>
                     <div>Points: ${card.points}</div>
                     <div>Rarity: ${card.rarity}</div>
-                    <div>Stack Position: TOP</div>
+                    <div>${this.getContainerName()} Position: ${position}</div>
                 </div>
             </div>
         `;
         peekDisplay.style.backgroundColor = card.color;
         
-        const modal = document.getElementById('stack-peek-modal');
-        if (modal) {
-            modal.style.display = 'flex';
-        }
+        const peekTitle = document.getElementById('stack-peek-title');
+        if (peekTitle) peekTitle.textContent = `👀 ${this.getContainerName().toUpperCase()} ${position} CARD`;
+        
+        this.showModal('stack-peek-modal');
     }
 
     // Close peek modal
     closePeekModal() {
-        const modal = document.getElementById('stack-peek-modal');
-        if (modal) {
-            modal.style.display = 'none';
+        this.hideModal('stack-peek-modal');
+    }
+
+    // Animation time (ms) for an operation kind, from gameConfig.stackOperations
+    getAnimationDuration(kind) {
+        if (this.playerSettings && !this.playerSettings.animationsEnabled) return 0;
+
+        const { pushAnimation, popAnimation } = this.gameData.gameConfig.stackOperations;
+        return kind === 'remove' || kind === 'clear' ? popAnimation : pushAnimation;
+    }
+
+    // Step through the operation's pseudo-code and highlight a peeked card
+    visualizeOperation(operation, { failed = false, highlight = null } = {}) {
+        const lines = OperationVisualizer.getPseudoCode(operation, this.engine.containerMode);
+        const duration = this.getAnimationDuration(operation.kind);
+
+        if (this.playerSettings?.pseudoCodeEnabled) {
+            this.visualizer.run(lines, duration, failed);
+        }
+
+        // Keep the peeked card lit while its pseudo-code runs
+        if (highlight) {
+            const cardEl = this.stackDisplay.querySelector(`[data-stack-id="${highlight.stackId}"]`);
+            if (cardEl) {
+                cardEl.classList.add('peeked');
+                setTimeout(() => cardEl.classList.remove('peeked'), Math.max(duration * lines.length, 600));
+            }
         }
     }
 
     // Update stack visualization display
+    // Cards are keyed by stackId, so only added and removed cards animate
     updateStackDisplay() {
         if (!this.stackSizeEl || !this.totalPairsEl || !this.stackDisplay) {
             console.error('Stack display elements not found');
             return;
         }
 
-        this.stackSizeEl.textContent = this.cardStack.length;
-        this.totalPairsEl.textContent = this.cardStack.length;
+        // Bump the size counter when it changes
+        if (this.stackSizeEl.textContent !== String(this.engine.cardStack.length)) {
+            this.stackSizeEl.classList.remove('bump');
+            void this.stackSizeEl.offsetWidth; // Restart the animation
+            this.stackSizeEl.classList.add('bump');
+        }
+        this.stackSizeEl.textContent = this.engine.cardStack.length;
+        this.totalPairsEl.textContent = this.engine.cardStack.length;
 
-        // Update stack visualization
-        if (this.cardStack.length === 0) {
-            this.stackDisplay.innerHTML = '<div class="stack-placeholder">Stack is empty - Push some cards!</div>';
-        } else {
-            this.stackDisplay.innerHTML = '';
-            // Show cards in LIFO order (top of stack first)
-            for (let i = this.cardStack.length - 1; i >= 0; i--) {
-                const card = this.cardStack[i];
-                const cardEl = document.createElement('div');
-                cardEl.className = 'stack-card';
+        // Titles and layout follow the container mode
+        const { name, order } = CardContainer.getMode(this.engine.containerMode);
+        const panelTitle = document.getElementById('container-title');
+        const visualTitle = document.getElementById('container-visual-title');
+        if (panelTitle) panelTitle.textContent = `🏗️ ${name.toUpperCase()} OPERATIONS`;
+        if (visualTitle) visualTitle.textContent = `📚 CARD ${name.toUpperCase()} (${order})`;
+        this.stackDisplay.classList.toggle('horizontal', this.engine.containerMode !== 'stack');
+        this.stackDisplay.setAttribute('aria-label', this.engine.containerMode === 'stack'
+            ? 'Card stack, top first'
+            : `Card ${name.toLowerCase()}, front first`);
+
+        const placeholder = this.stackDisplay.querySelector('.stack-placeholder');
+        if (placeholder) placeholder.remove();
+
+        // Existing card elements by stackId (cards already leaving are left alone)
+        const existing = new Map();
+        this.stackDisplay.querySelectorAll('.stack-card:not(.removing)').forEach(cardEl => {
+            existing.set(cardEl.dataset.stackId, cardEl);
+        });
+
+        // Stacks show the top first, queues and deques the front first
+        const desired = CardContainer.getDisplayOrder(this.engine.containerMode, this.engine.cardStack.length).map(({ index, label }) => {
+            const card = this.engine.cardStack[index];
+            const key = String(card.stackId);
+            let cardEl = existing.get(key);
+
+            if (cardEl) {
+                existing.delete(key);
+            } else {
+                cardEl = document.createElement('div');
+                cardEl.className = 'stack-card entering';
+                cardEl.dataset.stackId = key;
+                cardEl.setAttribute('role', 'listitem');
+                cardEl.style.animationDuration = `${this.getAnimationDuration('add')}ms`;
+                cardEl.style.backgroundColor = card.color;
                 cardEl.innerHTML = `
-                    <span class="stack-card-icon">${card.icon}</span>
-                    <span class="stack-card-name">${card.name}</span>
-                    <span class="stack-card-index">${i === this.cardStack.length - 1 ? 'TOP' : i + 1}</span>
+                    <span class="stack-card-icon" aria-hidden="true">${this.getCardIconHTML(card)}</span>
+                    <span class="stack-card-name">${this.escapeHTML(card.name)}</span>
+                    <span class="stack-card-index"></span>
                 `;
-                cardEl.style.backgroundColor = card.color;
-                this.stackDisplay.appendChild(cardEl);
+                cardEl.addEventListener('animationend', () => cardEl.classList.remove('entering'), { once: true });
+            }
+
+            // The TOP/FRONT/BACK pointers move with the cards
+            const isPointer = !/^\d+$/.test(label);
+            const indexEl = cardEl.querySelector('.stack-card-index');
+            indexEl.textContent = label;
+            indexEl.classList.toggle('pointer', isPointer);
+            cardEl.setAttribute('aria-label', `${isPointer ? label : `Position ${label}`}: ${card.name}`);
+            return cardEl;
+        });
+
+        // Cards no longer in the container slide off, then leave the DOM
+        const removeDuration = this.getAnimationDuration('remove');
+        existing.forEach(cardEl => {
+            cardEl.classList.remove('entering', 'peeked');
+            cardEl.classList.add('removing');
+            cardEl.style.animationDuration = `${removeDuration}ms`;
+            setTimeout(() => cardEl.remove(), removeDuration);
+        });
+
+        // Put the cards in display order, leaving removed cards where they were
+        let cursor = this.stackDisplay.firstChild;
+        desired.forEach(cardEl => {
+            while (cursor && cursor.classList?.contains('removing')) {
+                cursor = cursor.nextSibling;
             }
+            if (cardEl === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.stackDisplay.insertBefore(cardEl, cursor);
+            }
+        });
+
+        if (this.engine.cardStack.length === 0) {
+            this.stackDisplay.insertAdjacentHTML('beforeend', `<div class="stack-placeholder">${name} is empty - Add some cards!</div>`);
         }
 
-        console.log(`Stack display updated: ${this.cardStack.length} cards`);
+        console.log(`Stack display updated: ${this.engine.cardStack.length} cards`);
     }
 
     // Update stack button states
     updateStackButtonStates() {
-        const pushBtn = document.getElementById('push-card-btn');
-        const popBtn = document.getElementById('pop-card-btn');
-        const peekBtn = document.getElementById('peek-stack-btn');
         const clearBtn = document.getElementById('clear-stack-btn');
 
-        const stackFull = this.cardStack.length >= this.gameData.gameConfig.stackOperations.maxStackSize;
-        const stackEmpty = this.cardStack.length === 0;
+        const stackFull = this.engine.isFull();
+        const stackEmpty = this.engine.isEmpty();
 
-        if (pushBtn) pushBtn.disabled = this.gameActive || stackFull;
-        if (popBtn) popBtn.disabled = this.gameActive || stackEmpty;
-        if (peekBtn) peekBtn.disabled = stackEmpty;
-        if (clearBtn) clearBtn.disabled = this.gameActive || stackEmpty;
+        // Operation buttons of the current mode (a paused game still holds the stack it was dealt from)
+        document.querySelectorAll('#container-op-buttons [data-operation]').forEach(button => {
+            const operation = CardContainer.getOperation(this.engine.containerMode, button.dataset.operation);
+            if (!operation) return;
+            if (operation.kind === 'add') button.disabled = this.engine.gameStarted || stackFull;
+            else if (operation.kind === 'remove') button.disabled = this.engine.gameStarted || stackEmpty;
+            else button.disabled = stackEmpty;
+        });
+        
+        const randomPushBtn = document.getElementById('random-push-btn');
+        if (randomPushBtn) randomPushBtn.disabled = this.engine.gameStarted || stackFull;
+        if (clearBtn) clearBtn.disabled = this.engine.gameStarted || stackEmpty;
+
+        // Bulk operations follow the same locks
+        const removeNBtn = document.getElementById('remove-n-btn');
+        const addRarityBtn = document.getElementById('add-rarity-btn');
+        if (removeNBtn) removeNBtn.disabled = this.engine.gameStarted || stackEmpty;
+        if (addRarityBtn) addRarityBtn.disabled = this.engine.gameStarted || stackFull;
+        CardContainer.REORDERS.forEach(reorder => {
+            const reorderBtn = document.getElementById(`${reorder.id}-stack-btn`);
+            if (reorderBtn) reorderBtn.disabled = this.engine.gameStarted || this.engine.cardStack.length < 2;
+        });
+        
+        const containerSelect = document.getElementById('container-mode-select');
+        if (containerSelect) containerSelect.disabled = this.engine.gameStarted;
+        
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        if (undoBtn) undoBtn.disabled = this.engine.gameStarted || !this.stackHistory.canUndo();
+        if (redoBtn) redoBtn.disabled = this.engine.gameStarted || !this.stackHistory.canRedo();
     }
 
     // Check player name
     checkPlayerName() {
-        if (!this.playerName || this.playerName === 'StackMaster') {
+        if (!this.profiles.getActiveName()) {
             this.showLoginModal();
         } else {
-            this.showMessage(`Welcome back, ${this.playerName}! Stack has ${this.cardStack.length} cards. Ready to start?`);
+            this.showMessage(`Welcome back, ${this.playerName}! Stack has ${this.engine.cardStack.length} cards. Ready to start?`);
         }
     }
 
     // Show login modal
     showLoginModal() {
-        const modal = document.getElementById('login-modal');
-        const playerNameInput = document.getElementById('player-name');
-        
-        if (modal) {
-            modal.style.display = 'flex';
-            if (playerNameInput) {
-                playerNameInput.focus();
-            }
-        }
+        this.renderProfileList();
+        this.showModal('login-modal', document.getElementById('player-name'));
+    }
+
+    // List saved profiles in the login modal, each with switch and delete buttons
+    renderProfileList() {
+        const listEl = document.getElementById('profile-list');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+        this.profiles.getNames().forEach(name => {
+            const gamesPlayed = this.profiles.getProfile(name).stats?.gamesPlayed || 0;
+            const rowEl = document.createElement('div');
+            rowEl.className = 'profile-row';
+            rowEl.setAttribute('role', 'listitem');
+
+            const selectBtn = document.createElement('button');
+            selectBtn.className = 'pixel-btn profile-select-btn';
+            selectBtn.textContent = `👤 ${name} (${gamesPlayed} games)`;
+            selectBtn.addEventListener('click', () => this.switchProfile(name));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pixel-btn clear-btn profile-delete-btn';
+            deleteBtn.textContent = '✕';
+            deleteBtn.setAttribute('aria-label', `Delete profile ${name}`);
+            deleteBtn.addEventListener('click', () => this.deleteProfile(name));
+
+            rowEl.appendChild(selectBtn);
+            rowEl.appendChild(deleteBtn);
+            listEl.appendChild(rowEl);
+        });
     }
 
-    // Save player name
+    // Save player name (creates the profile if it is new)
     saveName() {
         const nameInput = document.getElementById('player-name');
         if (!nameInput) {
@@ -481,67 +1230,90 @@ class StackMemoryGame {
         const name = nameInput.value.trim();
         
         if (name && name.length > 0) {
-            this.playerName = name;
-            localStorage.setItem('stackMemoryPlayerName', name);
-            const modal = document.getElementById('login-modal');
-            if (modal) {
-                modal.style.display = 'none';
-            }
-            this.showMessage(`Welcome, ${this.playerName}! Use push/pop to modify cards, then START GAME!`);
-            
-            // Update button states after name is saved
-            this.updateButtonStates();
+            const isNew = !this.profiles.getProfile(name);
+            this.switchProfile(this.profiles.createProfile(name), isNew);
+            nameInput.value = '';
         } else {
             alert('Please enter a valid name!');
         }
     }
 
+    // Log in as a saved profile
+    switchProfile(name, isNew = false) {
+        this.profiles.setActive(name);
+        this.playerName = name;
+        this.updateHighScore();
+        this.applyPlayerSettings();
+        this.hideModal('login-modal');
+        this.showMessage(isNew
+            ? `Welcome, ${this.playerName}! Use push/pop to modify cards, then START GAME!`
+            : `Welcome back, ${this.playerName}! Stack has ${this.engine.cardStack.length} cards. Ready to start?`);
+        
+        // Update button states after the player changes
+        this.updateButtonStates();
+        this.offerResume();
+    }
+
+    // Delete a saved profile and its lifetime stats (leaderboard entries stay)
+    deleteProfile(name) {
+        if (!confirm(`Delete ${name}'s profile and lifetime stats? Leaderboard entries are kept.`)) return;
+
+        this.profiles.deleteProfile(name);
+        if (this.playerName === name) {
+            this.playerName = 'StackMaster';
+            this.updateHighScore();
+            this.applyPlayerSettings();
+        }
+        this.renderProfileList();
+        this.showMessage(`🗑️ Profile ${name} deleted.`);
+    }
+
     // Start new game - FIXED VERSION
     startGame() {
         console.log('Starting game...');
-        console.log('Current stack size:', this.cardStack.length);
-        console.log('Game active:', this.gameActive);
+        console.log('Current stack size:', this.engine.cardStack.length);
+        console.log('Game active:', this.engine.gameActive);
         console.log('Min cards required:', this.gameData?.gameConfig?.minCards);
 
-        if (this.gameActive) {
+        if (this.engine.gameActive) {
             console.log('Game already active, ignoring start request');
             return;
         }
+        
+        if (this.replayPlayer) {
+            this.closeReplay();
+        }
 
         // Check minimum cards requirement
         const minCards = this.gameData?.gameConfig?.minCards || 2;
-        if (this.cardStack.length < minCards) {
+        if (this.engine.cardStack.length < minCards) {
             this.showMessage(`Need at least ${minCards} card pairs to start! Use PUSH to add more cards.`);
-            console.log(`Insufficient cards: ${this.cardStack.length} < ${minCards}`);
+            console.log(`Insufficient cards: ${this.engine.cardStack.length} < ${minCards}`);
+            return;
+        }
+
+        // Triplets and quads deal more cards per stack entry
+        const maxCards = this.gameData?.gameConfig?.maxCards;
+        if (maxCards && this.engine.getBoardSize() > maxCards) {
+            this.showMessage(`${this.engine.cardStack.length} ${this.getMatchName(true)} would deal ${this.engine.getBoardSize()} cards, more than the ${maxCards} allowed. Remove some cards first.`);
             return;
         }
 
         try {
+            // Rule edits saved during the previous game take effect now
+            if (this.pendingGameConfig) {
+                this.applyGameConfig(this.pendingGameConfig);
+                this.pendingGameConfig = null;
+            }
+            
             // Reset game state
             this.resetGameState();
             
-            // Create game cards from current stack
-            this.createGameCardsFromStack();
-            console.log('Game cards created:', this.gameCards.length);
-            
-            // Shuffle the cards
-            this.shuffleCards();
-            console.log('Cards shuffled');
-            
-            // Render cards to the board
-            this.renderCards();
-            console.log('Cards rendered to board');
-            
-            // Set game as active
-            this.gameActive = true;
-            this.gameStarted = true;
-            
-            // Start the timer
-            this.startTimer();
-            
-            // Update UI
-            this.updateButtonStates();
-            this.showMessage(`Game started with ${this.cardStack.length} pairs! Find all matches, ${this.playerName}!`);
+            // Seed the deal (a loaded game code supplies its own seed); the engine
+            // builds, shuffles and activates the board, and onGameStarted draws it
+            const seed = this.pendingGameSeed !== null ? this.pendingGameSeed : SeededRandom.randomSeed();
+            this.pendingGameSeed = null;
+            this.engine.start(seed);
             
             console.log('Game started successfully!');
             
@@ -551,44 +1323,51 @@ class StackMemoryGame {
         }
     }
 
-    // Create game cards from current stack
-    createGameCardsFromStack() {
-        this.gameCards = [];
-        
-        // Create pairs from stack cards
-        this.cardStack.forEach((cardData, index) => {
-            // First card of pair
-            this.gameCards.push({
-                ...cardData,
-                id: `${cardData.id}_1`,
-                pairId: cardData.id,
-                matched: false,
-                flipped: false
-            });
-            
-            // Second card of pair
-            this.gameCards.push({
-                ...cardData,
-                id: `${cardData.id}_2`,
-                pairId: cardData.id,
-                matched: false,
-                flipped: false
-            });
+    // Subscribe the UI to the engine's events
+    bindEngineEvents() {
+        this.engine.on('containerChanged', () => {
+            this.updateStackDisplay();
+            this.updateButtonStates();
         });
-        
-        console.log(`Created ${this.gameCards.length} game cards from ${this.cardStack.length} stack cards`);
-    }
+        this.engine.on('gameStarted', () => this.onGameStarted());
+        this.engine.on('cardFlipped', (event) => this.onCardFlipped(event));
+        this.engine.on('pairFlipped', () => this.onPairFlipped());
+        this.engine.on('match', (event) => this.onMatch(event));
+        this.engine.on('mismatch', () => this.onMismatch());
+        this.engine.on('cardsHidden', (event) => this.onCardsHidden(event));
+        this.engine.on('reshuffled', (event) => this.onReshuffled(event));
+        this.engine.on('hint', (event) => this.onHint(event));
+        this.engine.on('tick', () => {
+            if (this.timerEl) this.timerEl.textContent = this.getTimerDisplay();
+        });
+        this.engine.on('gameComplete', () => setTimeout(() => this.gameComplete(), 1000));
+        this.engine.on('gameLost', ({ reason }) => {
+            this.gameLost(reason === 'time' ? '⏱️ Time is up!' : '🎯 Out of moves!');
+        });
+    }
 
-    // Shuffle game cards using Fisher-Yates algorithm
-    shuffleCards() {
-        for (let i = this.gameCards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.gameCards[i], this.gameCards[j]] = [this.gameCards[j], this.gameCards[i]];
-        }
+    // Draw the freshly dealt board and start the clock
+    onGameStarted() {
+        // Start recording the replay from the dealt board
+        this.replayLog = GameReplay.create({
+            player: this.playerName,
+            mode: this.engine.gameMode,
+            variant: this.engine.variant,
+            gameCode: this.engine.gameCode,
+            gameCards: this.engine.gameCards
+        });
+        this.replayStartTime = Date.now();
+        
+        this.renderCards();
+        this.startTimer();
+        
+        this.updateButtonStates();
+        this.saveGameState();
+        this.showMessage(`${this.getModeRules()} ${this.getVariantRules()} Game started with ${this.engine.cardStack.length} ${this.getMatchName(true)}! Find all matches, ${this.playerName}! Code: ${this.engine.gameCode}`);
     }
 
-    // Render cards to game board
-    renderCards() {
+    // Render cards to game board (the replay viewer passes its own cards)
+    renderCards(cards = this.engine.gameCards) {
         if (!this.gameBoard) {
             console.error('Game board element not found');
             return;
@@ -596,14 +1375,13 @@ class StackMemoryGame {
 
         this.gameBoard.innerHTML = '';
         
-        // Update grid columns based on card count
-        const cardCount = this.gameCards.length;
-        const columns = Math.ceil(Math.sqrt(cardCount));
-        this.gameBoard.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+        // The layout engine picks the columns and card size for the board's area
+        this.layoutBoard(cards.length);
+        this.focusedCardIndex = 0;
         
-        console.log(`Rendering ${cardCount} cards in ${columns} columns`);
+        console.log(`Rendering ${cards.length} cards in ${this.boardColumns} columns`);
         
-        this.gameCards.forEach((card, index) => {
+        cards.forEach((card, index) => {
             const cardElement = this.createCardElement(card, index);
             this.gameBoard.appendChild(cardElement);
         });
@@ -613,9 +1391,14 @@ class StackMemoryGame {
     createCardElement(card, index) {
         const cardDiv = document.createElement('div');
         cardDiv.className = 'memory-card appearing';
+        if (card.flipped) cardDiv.classList.add('flip');
+        if (card.matched) cardDiv.classList.add('matched');
         cardDiv.dataset.cardId = card.id;
         cardDiv.dataset.pairId = card.pairId;
         cardDiv.dataset.index = index;
+        cardDiv.setAttribute('role', 'button');
+        cardDiv.setAttribute('tabindex', index === this.focusedCardIndex ? '0' : '-1');
+        this.updateCardAria(cardDiv, card, index);
         
         // Create card front (hidden face)
         const cardFront = document.createElement('div');
@@ -624,130 +1407,296 @@ class StackMemoryGame {
         // Create card back (revealed face)
         const cardBack = document.createElement('div');
         cardBack.className = 'card-face card-back';
-        cardBack.innerHTML = `<span style="font-size: 28px;">${card.icon}</span>`;
+        cardBack.innerHTML = `<span class="card-icon" aria-hidden="true">${this.getCardIconHTML(card)}</span>`;
         cardBack.style.backgroundColor = card.color;
         
         cardDiv.appendChild(cardFront);
         cardDiv.appendChild(cardBack);
         
-        // Add click event listener
-        cardDiv.addEventListener('click', (e) => this.handleCardClick(e, card, index));
+        // Add click and keyboard event listeners
+        cardDiv.addEventListener('click', () => this.handleCardClick(index));
+        cardDiv.addEventListener('keydown', (e) => this.handleCardKeydown(e, index));
+        cardDiv.addEventListener('focus', () => this.setFocusedCard(index, false));
         
         return cardDiv;
     }
 
     // Handle card click event
-    handleCardClick(event, card, index) {
-        if (!this.gameActive || card.matched || card.flipped) {
-            return;
+    handleCardClick(index) {
+        // The engine refuses flips while paused, on matched or face-up cards and on a third card
+        if (this.engine.flip(index)) {
+            this.saveGameState();
         }
+    }
 
-        if (this.flippedCards.length >= 2) {
-            return;
+    // Card element at a board position
+    getCardElement(index) {
+        return this.gameBoard.querySelectorAll('.memory-card')[index];
+    }
+
+    // Describe a card's state for screen readers
+    updateCardAria(cardElement, card, index) {
+        let state = 'face down';
+        if (card.matched) {
+            state = `${card.name}, matched`;
+        } else if (card.flipped) {
+            state = `${card.name}, face up`;
         }
+        cardElement.setAttribute('aria-label', `Card ${index + 1}: ${state}`);
+        cardElement.setAttribute('aria-disabled', card.matched ? 'true' : 'false');
+    }
 
-        // Flip the card
-        this.flipCard(event.currentTarget, card, index);
-        this.flippedCards.push({card, element: event.currentTarget, index});
-        
-        // Check for match if two cards are flipped
-        if (this.flippedCards.length === 2) {
-            this.moves++;
-            if (this.movesEl) {
-                this.movesEl.textContent = this.moves;
-            }
-            setTimeout(() => this.checkForMatch(), this.gameData.gameConfig.matchDelay || 1000);
+    // Move the roving tabindex to a card, optionally focusing it
+    setFocusedCard(index, moveFocus = true) {
+        const cardElements = this.gameBoard.querySelectorAll('.memory-card');
+        if (index < 0 || index >= cardElements.length) return;
+
+        cardElements.forEach(el => el.setAttribute('tabindex', '-1'));
+        cardElements[index].setAttribute('tabindex', '0');
+        this.focusedCardIndex = index;
+
+        if (moveFocus) {
+            cardElements[index].focus();
+        }
+    }
+
+    // Keyboard navigation across the card grid
+    handleCardKeydown(event, index) {
+        const cardCount = this.gameBoard.querySelectorAll('.memory-card').length;
+        const columns = this.boardColumns;
+        let nextIndex = null;
+
+        switch (event.key) {
+            case 'ArrowRight':
+                nextIndex = Math.min(index + 1, cardCount - 1);
+                break;
+            case 'ArrowLeft':
+                nextIndex = Math.max(index - 1, 0);
+                break;
+            case 'ArrowDown':
+                nextIndex = index + columns < cardCount ? index + columns : index;
+                break;
+            case 'ArrowUp':
+                nextIndex = index - columns >= 0 ? index - columns : index;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = cardCount - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                this.handleCardClick(index);
+                return;
+            default:
+                return;
         }
+
+        event.preventDefault();
+        this.setFocusedCard(nextIndex);
     }
 
     // Flip card animation
-    flipCard(cardElement, card, index) {
+    onCardFlipped({ card, index }) {
+        const cardElement = this.getCardElement(index);
         cardElement.classList.add('flip');
-        card.flipped = true;
+        this.updateCardAria(cardElement, card, index);
+        this.soundManager.play('flip');
+        this.recordReplayEvent({ type: 'flip', index, pairId: card.pairId });
+    }
+
+    // Count the move and resolve the pair after matchDelay
+    onPairFlipped() {
+        if (this.movesEl) {
+            this.movesEl.textContent = this.getMovesDisplay();
+        }
+        this.scheduleGameTimeout(() => this.checkForMatch(), this.gameData.gameConfig.matchDelay);
     }
 
     // Check if two flipped cards match
     checkForMatch() {
-        if (this.flippedCards.length !== 2) return;
-        
-        const [firstFlipped, secondFlipped] = this.flippedCards;
-        const card1 = firstFlipped.card;
-        const card2 = secondFlipped.card;
-        
-        if (card1.pairId === card2.pairId) {
-            this.handleMatch(firstFlipped, secondFlipped);
-        } else {
-            this.handleNoMatch(firstFlipped, secondFlipped);
-        }
-        
-        this.flippedCards = [];
+        this.engine.resolvePair();
     }
 
     // Handle successful match
-    handleMatch(firstFlipped, secondFlipped) {
-        const card1 = firstFlipped.card;
-        const card2 = secondFlipped.card;
-        
-        card1.matched = true;
-        card2.matched = true;
+    onMatch({ cards, indexes, breakdown, streak, player }) {
+        indexes.forEach((index, i) => {
+            const cardElement = this.getCardElement(index);
+            cardElement.classList.add('matched');
+            this.updateCardAria(cardElement, cards[i], index);
+        });
         
-        firstFlipped.element.classList.add('matched');
-        secondFlipped.element.classList.add('matched');
+        this.soundManager.play('match');
+        const totalScore = breakdown.total;
+        const comboText = streak > 1 ? ` 🔥 COMBO x${streak}!` : '';
+        const progress = `${this.engine.matchedPairs}/${this.engine.cardStack.length} ${this.getMatchName(true)} found.`;
         
-        const baseScore = card1.points || 10;
-        const timeBonus = Math.max(0, 100 - this.timer);
-        const moveBonus = Math.max(0, 50 - this.moves);
-        const totalScore = baseScore + timeBonus + moveBonus;
+        this.updateDisplay();
         
-        this.score += totalScore;
-        this.matchedPairs++;
+        if (player) {
+            // A match keeps the turn
+            this.updateTurnIndicator();
+            this.showMessage(`Match for ${player.name}! +${totalScore} points!${comboText} ${player.name} goes again. ${progress}`);
+        } else {
+            this.showMessage(`Match found! +${totalScore} points!${comboText} ${progress}`);
+        }
         
-        this.updateDisplay();
-        this.showMessage(`Match found! +${totalScore} points! ${this.matchedPairs}/${this.cardStack.length} pairs found.`);
+        this.saveGameState();
+    }
+
+    // Handle no match: the turn may have passed; the cards turn back after matchDelay
+    onMismatch() {
+        this.soundManager.play('mismatch');
+        this.updateTurnIndicator();
+        this.scheduleGameTimeout(() => this.engine.hideMismatch(), this.gameData.gameConfig.matchDelay);
+    }
+
+    // Turn a missed pair back over
+    onCardsHidden({ indexes, seenCount, penalty }) {
+        indexes.forEach(index => {
+            const cardElement = this.getCardElement(index);
+            cardElement.classList.remove('flip');
+            this.updateCardAria(cardElement, this.engine.gameCards[index], index);
+        });
         
-        if (this.matchedPairs === this.cardStack.length) {
-            setTimeout(() => this.gameComplete(), 1000);
+        const seenText = seenCount === 1 ? 'that card' : seenCount === indexes.length ? `all ${seenCount} cards` : `${seenCount} of them`;
+        const penaltyText = seenCount > 0 ? ` You had seen ${seenText} before (-${penalty}).` : '';
+        if (this.engine.isMultiplayer()) {
+            this.showMessage(`No match!${penaltyText} ${this.engine.getCurrentPlayer().name}'s turn.`);
+        } else {
+            this.showMessage(`No match!${penaltyText} Try again.`);
         }
+        this.saveGameState();
     }
 
-    // Handle no match
-    handleNoMatch(firstFlipped, secondFlipped) {
-        setTimeout(() => {
-            firstFlipped.element.classList.remove('flip');
-            secondFlipped.element.classList.remove('flip');
-            firstFlipped.card.flipped = false;
-            secondFlipped.card.flipped = false;
-            this.showMessage('No match! Try again.');
-        }, 1000);
+    // Ask the engine for a hint, explaining why when none can be given
+    useHint(type) {
+        if (!this.engine.gameActive) return;
+
+        if (this.engine.getHintsLeft() === 0) {
+            this.showMessage('💡 No hints left this game.');
+            return;
+        }
+        if (!this.engine.useHint(type)) {
+            this.showMessage(type === 'partner'
+                ? '💡 Flip one card first, then HINT shows its partner.'
+                : '💡 OVERVIEW works before you flip a card.');
+        }
     }
 
-    // Game complete
+    // Briefly show the hinted cards; pausing holds the reveal
+    onHint({ type, indexes, cost, hintsLeft }) {
+        const hintConfig = this.gameData.gameConfig.hints || {};
+        const duration = type === 'partner' ? hintConfig.partnerDuration || 1200 : hintConfig.overviewDuration || 500;
+        const cardElements = indexes.map(index => this.getCardElement(index));
+        cardElements.forEach(cardElement => cardElement.classList.add('hint-reveal'));
+        this.scheduleGameTimeout(() => {
+            cardElements.forEach(cardElement => cardElement.classList.remove('hint-reveal'));
+        }, duration);
+
+        this.soundManager.play('flip');
+        const what = type === 'partner' ? `The partner is card ${indexes[0] + 1}` : 'Every face-down card is showing';
+        this.showMessage(`💡 ${what}! -${cost} points at your next match. ${hintsLeft} hint${hintsLeft === 1 ? '' : 's'} left.`);
+        this.updateHintButtons();
+        this.saveGameState();
+    }
+
+    // Enable the hint buttons during play and show how many hints are left
+    updateHintButtons() {
+        const hintsLeft = this.engine.getHintsLeft();
+        const hintBtn = document.getElementById('hint-btn');
+        const overviewBtn = document.getElementById('overview-hint-btn');
+
+        if (hintBtn) {
+            hintBtn.disabled = !this.engine.gameActive || hintsLeft === 0;
+            hintBtn.textContent = this.engine.gameStarted ? `💡 HINT (${hintsLeft})` : '💡 HINT';
+        }
+        if (overviewBtn) {
+            overviewBtn.disabled = !this.engine.gameActive || hintsLeft === 0;
+        }
+    }
+
+    // Game complete (the engine has already added the stack and operation bonuses)
     gameComplete() {
-        this.gameActive = false;
-        this.gameStarted = false;
+        this.clearSavedGame();
+        this.stopTimer();
         
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
+        // Hot-seat games are decided by per-player scores and stay off the solo leaderboard
+        this.finishReplay(true);
+        
+        if (this.engine.isMultiplayer()) {
+            this.soundManager.play('victory');
+            this.showGameOverModal(false);
+            this.updateButtonStates();
+            return;
         }
         
-        // Calculate final score with bonuses
-        const stackSizeBonus = this.cardStack.length * 50;
-        const operationsBonus = Object.values(this.stackOperationsUsed).filter(used => used).length * 100;
-        this.score += stackSizeBonus + operationsBonus;
+        // Pay out achievement rewards banked before the game, then check new ones
+        // (daily scores are compared day to day, so a daily game leaves the bank for the next regular game)
+        if (this.achievementEngine && !this.dailyChallenge) {
+            this.engine.score += this.achievementEngine.takeBankedRewards(this.playerName);
+        }
+        this.gameAchievements = this.checkAchievements('gameComplete');
         
-        // Check for high score
+        // Check for high score (per player)
         const currentHighScore = this.getHighScore();
-        const isNewHighScore = this.score > currentHighScore;
+        const isNewHighScore = this.engine.score > currentHighScore;
         
-        if (isNewHighScore) {
-            localStorage.setItem('stackMemoryHighScore', this.score.toString());
-            this.updateHighScore();
-        }
+        // Record the completed game on the leaderboard
+        this.leaderboard.addEntry({
+            player: this.playerName,
+            score: this.engine.score,
+            moves: this.engine.moves,
+            time: this.engine.timer,
+            pairs: this.engine.cardStack.length,
+            mode: this.engine.gameMode,
+            variant: this.engine.variant,
+            hints: this.engine.hintsUsed
+        });
+        this.recordProfileGame(true);
+        this.updateHighScore();
         
+        this.soundManager.play('victory');
         this.showGameOverModal(isNewHighScore);
+        this.endDailyChallenge(true);
         this.updateButtonStates();
     }
 
+    // Show the per-match score breakdown in the game over modal
+    renderScoreBreakdown() {
+        const breakdownEl = document.getElementById('final-breakdown');
+        if (!breakdownEl) return;
+
+        if (this.engine.matchBreakdown.length === 0) {
+            breakdownEl.style.display = 'none';
+            return;
+        }
+
+        breakdownEl.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>CARD</th><th>BASE</th><th>SPEED</th><th>COMBO</th><th>PENALTY</th><th>HINT</th><th>TOTAL</th></tr>
+                </thead>
+                <tbody>
+                    ${this.engine.matchBreakdown.map(entry => `
+                        <tr>
+                            <td>${this.escapeHTML(entry.icon)} ${entry.rarity}</td>
+                            <td>${entry.basePoints}x${entry.multiplier}=${entry.base}</td>
+                            <td>+${entry.speed}</td>
+                            <td>+${entry.combo}</td>
+                            <td>-${entry.penalty}</td>
+                            <td>-${entry.hint || 0}</td>
+                            <td>${entry.total}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        breakdownEl.style.display = 'block';
+    }
+
     // Show game over modal
     showGameOverModal(isNewHighScore) {
         const finalScoreEl = document.getElementById('final-score');
@@ -756,50 +1705,61 @@ class StackMemoryGame {
         const finalCardsEl = document.getElementById('final-cards');
         const newRecordEl = document.getElementById('new-record');
 
-        if (finalScoreEl) finalScoreEl.textContent = this.score;
-        if (finalMovesEl) finalMovesEl.textContent = this.moves;
-        if (finalTimeEl) finalTimeEl.textContent = this.formatTime(this.timer);
-        if (finalCardsEl) finalCardsEl.textContent = this.cardStack.length * 2;
+        if (finalScoreEl) finalScoreEl.textContent = this.engine.score;
+        if (finalMovesEl) finalMovesEl.textContent = this.engine.moves;
+        if (finalTimeEl) finalTimeEl.textContent = this.formatTime(this.engine.timer);
+        if (finalCardsEl) finalCardsEl.textContent = this.engine.getBoardSize();
+        const finalHintsEl = document.getElementById('final-hints');
+        if (finalHintsEl) finalHintsEl.textContent = `${this.engine.hintsUsed}/${this.engine.getHintLimit()}`;
+        
+        this.renderFinalPlayers();
+        this.renderScoreBreakdown();
+        
+        const finalCodeEl = document.getElementById('final-code');
+        if (finalCodeEl) finalCodeEl.textContent = this.engine.gameCode || '-';
         
         if (newRecordEl) {
             newRecordEl.style.display = isNewHighScore ? 'block' : 'none';
         }
         
-        const modal = document.getElementById('game-over-modal');
-        if (modal) {
-            modal.style.display = 'flex';
+        const finalAchievementsEl = document.getElementById('final-achievements');
+        if (finalAchievementsEl) {
+            finalAchievementsEl.textContent = this.gameAchievements
+                .map(achievement => `${achievement.icon} ${achievement.name} (+${achievement.reward || 0})`)
+                .join(' ');
+            finalAchievementsEl.style.display = this.gameAchievements.length > 0 ? 'block' : 'none';
         }
+        
+        this.showModal('game-over-modal');
     }
 
     // Reset game state
     resetGameState() {
-        this.gameCards = [];
-        this.flippedCards = [];
-        this.matchedPairs = 0;
-        this.moves = 0;
-        this.score = 0;
-        this.timer = 0;
-        this.gameActive = false;
-        this.gameStarted = false;
-        
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.engine.reset();
+        this.gameAchievements = [];
+        this.updateTurnIndicator();
+        this.stopTimer();
+        this.clearGameTimeouts();
+        this.pausedAt = 0;
         
         this.updateDisplay();
         
         console.log('Game state reset');
     }
 
-    // Start game timer
+    // Start game timer (the engine counts the seconds and checks time limits)
     startTimer() {
-        this.timerInterval = setInterval(() => {
-            this.timer++;
-            if (this.timerEl) {
-                this.timerEl.textContent = this.formatTime(this.timer);
-            }
-        }, 1000);
+        this.soundManager.startMusic();
+        this.timerInterval = setInterval(() => this.engine.tick(), 1000);
+    }
+
+    // Stop game timer
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.soundManager.stopMusic();
+            this.timerInterval = null;
+        }
     }
 
     // Format time display
@@ -811,9 +1771,9 @@ class StackMemoryGame {
 
     // Update display elements
     updateDisplay() {
-        if (this.currentScoreEl) this.currentScoreEl.textContent = this.score;
-        if (this.movesEl) this.movesEl.textContent = this.moves;
-        if (this.timerEl) this.timerEl.textContent = this.formatTime(this.timer);
+        if (this.currentScoreEl) this.currentScoreEl.textContent = this.engine.score;
+        if (this.movesEl) this.movesEl.textContent = this.getMovesDisplay();
+        if (this.timerEl) this.timerEl.textContent = this.getTimerDisplay();
     }
 
     // Update high score display
@@ -824,15 +1784,24 @@ class StackMemoryGame {
         }
     }
 
-    // Get high score from localStorage
+    // Get the current player's best score in the current mode and variant from the leaderboard
     getHighScore() {
-        return parseInt(localStorage.getItem('stackMemoryHighScore')) || 0;
+        return this.leaderboard.getBestScore({
+            player: this.playerName,
+            mode: this.engine.gameMode,
+            variant: GameEngine.getVariantKey(this.engine.variant)
+        });
     }
 
     // Reset game
     resetGame() {
         if (confirm('Reset the current game? This will clear the game board but keep your stack.')) {
+            // A reset daily challenge still uses up the day's attempt
+            if (this.engine.gameStarted) {
+                this.endDailyChallenge(false);
+            }
             this.resetGameState();
+            this.clearSavedGame();
             if (this.gameBoard) {
                 this.gameBoard.innerHTML = '';
             }
@@ -841,36 +1810,104 @@ class StackMemoryGame {
         }
     }
 
-    // Pause/Resume game
-    pauseGame() {
-        if (!this.gameStarted) return;
+    // Pause/Resume game (auto is true when the tab was hidden)
+    pauseGame(auto = false) {
+        if (!this.engine.gameStarted) return;
         
         const pauseBtn = document.getElementById('pause-btn');
         
-        if (this.gameActive) {
-            this.gameActive = false;
-            if (this.timerInterval) {
-                clearInterval(this.timerInterval);
-                this.timerInterval = null;
-            }
+        if (this.engine.pause()) {
+            this.stopTimer();
+            this.suspendGameTimeouts();
+            this.pausedAt = Date.now();
             if (pauseBtn) pauseBtn.textContent = 'RESUME';
-            this.showMessage('Game paused. Click RESUME to continue.');
+            this.showMessage(auto
+                ? 'Game paused while the tab was hidden. Click RESUME to continue.'
+                : 'Game paused. Click RESUME to continue.');
         } else {
-            this.gameActive = true;
+            this.engine.resume();
             this.startTimer();
+            // Replay timestamps skip the time spent paused
+            if (this.pausedAt) {
+                this.replayStartTime += Date.now() - this.pausedAt;
+                this.pausedAt = 0;
+            }
+            this.resumeGameTimeouts();
             if (pauseBtn) pauseBtn.textContent = 'PAUSE';
             this.showMessage('Game resumed! Keep matching!');
         }
         
         this.updateButtonStates();
+        this.saveGameState();
+    }
+
+    // Run a game step after delay ms; pausing suspends it until resume
+    scheduleGameTimeout(callback, delay) {
+        const entry = { callback, remaining: delay, due: 0, timeoutId: null };
+        this.gameTimeouts.push(entry);
+        if (this.engine.gameActive) {
+            this.startGameTimeout(entry);
+        }
+    }
+
+    startGameTimeout(entry) {
+        entry.due = Date.now() + entry.remaining;
+        entry.timeoutId = setTimeout(() => {
+            this.gameTimeouts = this.gameTimeouts.filter(other => other !== entry);
+            entry.callback();
+        }, entry.remaining);
     }
 
-    // Logout
+    // Stop pending steps, remembering how long each had left
+    suspendGameTimeouts() {
+        this.gameTimeouts.forEach(entry => {
+            if (entry.timeoutId === null) return;
+            clearTimeout(entry.timeoutId);
+            entry.timeoutId = null;
+            entry.remaining = Math.max(0, entry.due - Date.now());
+        });
+    }
+
+    resumeGameTimeouts() {
+        this.gameTimeouts
+            .filter(entry => entry.timeoutId === null)
+            .forEach(entry => this.startGameTimeout(entry));
+    }
+
+    clearGameTimeouts() {
+        this.gameTimeouts.forEach(entry => clearTimeout(entry.timeoutId));
+        this.gameTimeouts = [];
+    }
+
+    // Cover the board while paused; face-up cards are turned back and the board leaves the tab order
+    updatePauseOverlay() {
+        const overlay = document.getElementById('pause-overlay');
+        if (!overlay || !this.gameBoard) return;
+
+        const paused = this.engine.gameStarted && !this.engine.gameActive;
+        const wasPaused = overlay.style.display !== 'none';
+        overlay.style.display = paused ? 'flex' : 'none';
+        this.gameBoard.classList.toggle('paused', paused);
+        this.gameBoard.inert = paused;
+        this.gameBoard.setAttribute('aria-hidden', paused ? 'true' : 'false');
+
+        if (paused && !wasPaused) {
+            if (this.gameBoard.contains(document.activeElement)) {
+                document.getElementById('overlay-resume-btn')?.focus();
+            }
+        } else if (!paused && wasPaused && document.activeElement?.id === 'overlay-resume-btn') {
+            this.setFocusedCard(this.focusedCardIndex);
+        }
+    }
+
+    // Logout: back to the profile picker (profiles and stats stay saved)
     logout() {
-        if (confirm('Logout and reset session? This will clear your name and reset the game.')) {
-            localStorage.removeItem('stackMemoryPlayerName');
+        if (confirm('Logout and switch player? The current game is reset; your profile and stats stay saved.')) {
+            this.profiles.setActive(null);
             this.resetGame();
             this.playerName = 'StackMaster';
+            this.updateHighScore();
+            this.applyPlayerSettings();
             this.showLoginModal();
         }
     }
@@ -883,10 +1920,7 @@ class StackMemoryGame {
 
     // Close modal
     closeModal() {
-        const modal = document.getElementById('game-over-modal');
-        if (modal) {
-            modal.style.display = 'none';
-        }
+        this.hideModal('game-over-modal');
     }
 
     // Update button states based on game status - FIXED VERSION
@@ -894,14 +1928,30 @@ class StackMemoryGame {
         const startBtn = document.getElementById('start-btn');
         const resetBtn = document.getElementById('reset-btn');
         const pauseBtn = document.getElementById('pause-btn');
+        const loadCodeBtn = document.getElementById('load-code-btn');
+        const multiplayerBtn = document.getElementById('multiplayer-btn');
+        
+        if (loadCodeBtn) loadCodeBtn.disabled = this.engine.gameStarted;
+        const modeSelect = document.getElementById('mode-select');
+        if (modeSelect) modeSelect.disabled = this.engine.gameStarted;
+        ['match-size-select', 'match-rule-select', 'shift-select'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.disabled = this.engine.gameStarted;
+        });
+        const replayBtn = document.getElementById('replay-btn');
+        if (replayBtn) replayBtn.disabled = this.engine.gameStarted;
+        if (multiplayerBtn) {
+            multiplayerBtn.disabled = this.engine.gameStarted;
+            multiplayerBtn.textContent = this.engine.isMultiplayer() ? 'SOLO MODE' : 'MULTIPLAYER';
+        }
         
         // Check minimum cards requirement
         const minCards = this.gameData?.gameConfig?.minCards || 2;
-        const hasEnoughCards = this.cardStack.length >= minCards;
+        const hasEnoughCards = this.engine.cardStack.length >= minCards;
         
-        console.log(`Updating button states: cards=${this.cardStack.length}, min=${minCards}, enough=${hasEnoughCards}, gameStarted=${this.gameStarted}, gameActive=${this.gameActive}`);
+        console.log(`Updating button states: cards=${this.engine.cardStack.length}, min=${minCards}, enough=${hasEnoughCards}, gameStarted=${this.engine.gameStarted}, gameActive=${this.engine.gameActive}`);
         
-        if (!this.gameStarted) {
+        if (!this.engine.gameStarted) {
             // Game not started - enable start button only if enough cards
             if (startBtn) {
                 startBtn.textContent = 'START GAME';
@@ -917,7 +1967,7 @@ class StackMemoryGame {
                 pauseBtn.disabled = true;
                 pauseBtn.textContent = 'PAUSE';
             }
-        } else if (this.gameActive) {
+        } else if (this.engine.gameActive) {
             // Game active
             if (startBtn) {
                 startBtn.textContent = 'GAME ACTIVE';
@@ -945,6 +1995,2110 @@ class StackMemoryGame {
         
         // Update stack operation buttons
         this.updateStackButtonStates();
+        this.updateHintButtons();
+        this.updatePauseOverlay();
+    }
+
+    // Collect the stats achievement conditions can refer to
+    getAchievementStats() {
+        return {
+            stackSize: this.engine.cardStack.length,
+            totalCards: this.engine.gameCards.length,
+            moves: this.engine.moves,
+            time: this.engine.timer,
+            score: this.engine.score,
+            matchedPairs: this.engine.matchedPairs,
+            containerMode: this.engine.containerMode,
+            operationsUsed: Object.values(this.engine.operationsUsed).filter(used => used).length,
+            operations: { ...this.engine.operationsUsed },
+            hintsUsed: this.engine.hintsUsed
+        };
+    }
+
+    // Evaluate achievements for a trigger and award their rewards
+    checkAchievements(trigger) {
+        if (!this.achievementEngine) return [];
+
+        const unlocked = this.achievementEngine.evaluate(trigger, this.getAchievementStats(), this.playerName);
+
+        unlocked.forEach(achievement => {
+            const reward = achievement.reward || 0;
+            if (trigger === 'gameComplete' && !this.dailyChallenge) {
+                this.engine.score += reward;
+            } else {
+                // No game running, or a daily score - keep the reward for this player's next completed game
+                this.achievementEngine.bankReward(this.playerName, reward);
+            }
+            this.showAchievementToast(achievement);
+            this.soundManager.play('achievement');
+        });
+
+        if (unlocked.length > 0) {
+            this.updateDisplay();
+        }
+
+        return unlocked;
+    }
+
+    // Show a temporary toast for a newly unlocked achievement
+    showAchievementToast(achievement) {
+        const container = document.getElementById('achievement-toasts');
+        if (!container) {
+            console.warn('Achievement toast container not found');
+            return;
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <span class="achievement-toast-icon">${achievement.icon}</span>
+            <div class="achievement-toast-info">
+                <div class="achievement-toast-title">ACHIEVEMENT UNLOCKED!</div>
+                <div>${achievement.name} (+${achievement.reward || 0})</div>
+            </div>
+        `;
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 3500);
+    }
+
+    // Show achievements gallery modal
+    showAchievementsGallery() {
+        const listEl = document.getElementById('achievements-list');
+        if (!listEl || !this.achievementEngine) {
+            console.error('Achievements list element not found');
+            return;
+        }
+
+        const unlocked = this.achievementEngine.getUnlocked(this.playerName);
+        listEl.innerHTML = '';
+
+        if (this.achievementEngine.definitions.length === 0) {
+            listEl.innerHTML = '<div class="stack-placeholder">No achievements defined.</div>';
+        }
+
+        this.achievementEngine.definitions.forEach(achievement => {
+            const unlockedAt = unlocked[achievement.id];
+            const itemEl = document.createElement('div');
+            itemEl.className = `achievement-item ${unlockedAt ? 'unlocked' : 'locked'}`;
+            itemEl.innerHTML = `
+                <span class="achievement-icon">${unlockedAt ? achievement.icon : '🔒'}</span>
+                <div class="achievement-info">
+                    <div><strong>${achievement.name}</strong></div>
+                    <div>${achievement.description}</div>
+                    <div>Reward: ${achievement.reward || 0} pts${unlockedAt ? ` | Unlocked ${new Date(unlockedAt).toLocaleDateString()}` : ''}</div>
+                </div>
+            `;
+            listEl.appendChild(itemEl);
+        });
+
+        this.showModal('achievements-modal');
+    }
+
+    // Close achievements gallery modal
+    closeAchievementsGallery() {
+        this.hideModal('achievements-modal');
+    }
+
+    // Get the code for the game in progress, or for the next deal of the current stack
+    getGameCode() {
+        if (this.engine.gameStarted && this.engine.gameCode) {
+            return this.engine.gameCode;
+        }
+        if (this.pendingGameSeed === null) {
+            this.pendingGameSeed = SeededRandom.randomSeed();
+        }
+        return GameCode.encode(this.pendingGameSeed, this.engine.cardStack.map(card => card.id), this.engine.variant);
+    }
+
+    // Show the current game code and copy it to the clipboard
+    shareGameCode() {
+        if (this.engine.cardStack.length === 0) {
+            this.showMessage('Stack is empty! Push some cards before sharing a code.');
+            return;
+        }
+
+        const code = this.getGameCode();
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(code)
+                .then(() => this.showMessage(`📋 GAME CODE copied: ${code}`))
+                .catch(() => this.showMessage(`📋 GAME CODE: ${code}`));
+        } else {
+            this.showMessage(`📋 GAME CODE: ${code}`);
+        }
+    }
+
+    // Rebuild the stack and seed from a pasted game code
+    loadGameCode() {
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot load a game code during active game!');
+            return;
+        }
+
+        const input = prompt('Paste a game code:');
+        if (!input) return;
+
+        let decoded;
+        try {
+            decoded = GameCode.decode(input);
+        } catch (error) {
+            this.showMessage(`Invalid game code: ${error.message}`);
+            return;
+        }
+
+        const maxStackSize = this.gameData.gameConfig.stackOperations.maxStackSize;
+        if (decoded.cardIds.length > maxStackSize) {
+            this.showMessage(`Game code uses ${decoded.cardIds.length} cards, but the stack holds at most ${maxStackSize}.`);
+            return;
+        }
+
+        if (new Set(decoded.cardIds).size !== decoded.cardIds.length) {
+            this.showMessage('Invalid game code: a card appears more than once.');
+            return;
+        }
+
+        const activeCards = this.getActiveCards();
+        const cards = decoded.cardIds.map(id => activeCards.find(card => card.id === id));
+        if (cards.includes(undefined)) {
+            this.showMessage('Invalid game code: it uses cards that are not in this deck.');
+            return;
+        }
+
+        // The variant decides how many copies are dealt; codes from before variants deal plain pairs
+        if (!this.engine.setVariant(decoded.variant || GameEngine.DEFAULT_VARIANT)) {
+            this.showMessage('Invalid game code: it uses an unknown game variant.');
+            return;
+        }
+        localStorage.setItem('stackMemoryVariant', JSON.stringify(this.engine.variant));
+        this.updateVariantControls();
+        this.updateHighScore();
+
+        // Same seed for stack ids and shuffle, so the deal is identical
+        const before = [...this.engine.cardStack];
+        this.engine.setSeed(decoded.seed);
+        this.engine.setCards([]);
+        cards.forEach(card => this.pushCardToStack(card, false));
+        this.pendingGameSeed = decoded.seed;
+        this.stackHistory.record('LOAD CODE', `${cards.length} cards`, before, this.engine.cardStack);
+
+        this.showMessage(`🔑 Loaded game code with ${cards.length} ${this.getMatchName(true)}. ${[this.getVariantRules(), 'Press START GAME to play the same deal!'].filter(Boolean).join(' ')}`);
+    }
+
+    // Serialize the game in progress to localStorage
+    saveGameState() {
+        if (!this.engine.gameStarted) return;
+
+        const state = {
+            version: 1,
+            playerName: this.playerName,
+            savedAt: new Date().toISOString(),
+            ...this.engine.serialize(),
+            daily: this.dailyChallenge,
+            replayLog: this.replayLog,
+            replayElapsed: (this.pausedAt || Date.now()) - this.replayStartTime
+        };
+
+        try {
+            localStorage.setItem('stackMemorySavedGame', JSON.stringify(state));
+        } catch (error) {
+            console.warn('Failed to save game state:', error);
+        }
+    }
+
+    // Load the saved game, if any
+    loadSavedGame() {
+        try {
+            const state = JSON.parse(localStorage.getItem('stackMemorySavedGame'));
+            if (!state || state.version !== 1 || !Array.isArray(state.gameCards)) {
+                return null;
+            }
+            return state;
+        } catch (error) {
+            console.warn('Failed to read saved game:', error);
+            return null;
+        }
+    }
+
+    // Remove the saved game
+    clearSavedGame() {
+        localStorage.removeItem('stackMemorySavedGame');
+    }
+
+    // Offer to resume a saved game for the current player
+    offerResume() {
+        const state = this.loadSavedGame();
+        if (!state || state.playerName !== this.playerName) return;
+
+        const detailsEl = document.getElementById('resume-details');
+        if (detailsEl) {
+            detailsEl.innerHTML = `
+                <p>Pairs Found: ${state.matchedPairs}/${state.cardStack.length}</p>
+                <p>Score: ${state.score}</p>
+                <p>Moves: ${state.moves}</p>
+                <p>Time: ${this.formatTime(state.timer)}</p>
+                <p>Saved: ${new Date(state.savedAt).toLocaleString()}</p>
+            `;
+        }
+
+        this.showModal('resume-modal');
+    }
+
+    // Restore the saved game exactly as it was left, in a paused state
+    resumeSavedGame() {
+        const state = this.loadSavedGame();
+        this.hideModal('resume-modal');
+        if (!state) {
+            this.showMessage('Saved game could not be loaded.');
+            return;
+        }
+
+        this.resetGameState();
+        this.setGameMode(state.gameMode || 'classic');
+
+        // The engine restores the game paused, with unresolved face-up cards pending
+        this.engine.restore(state);
+        this.dailyChallenge = state.daily || null;
+        this.replayLog = state.replayLog || null;
+        this.replayStartTime = Date.now() - (state.replayElapsed || 0);
+        this.setContainerMode(this.engine.containerMode, false);
+        this.updateVariantControls();
+        this.updateTurnIndicator();
+
+        this.updateStackDisplay();
+        this.renderCards();
+        this.updateDisplay();
+        this.updateButtonStates();
+
+        if (this.engine.matchedPairs === this.engine.cardStack.length) {
+            this.engine.complete();
+            return;
+        }
+
+        // A miss that was showing turns back over once the player resumes; an unresolved group is checked
+        if (this.engine.pendingMismatch) {
+            this.scheduleGameTimeout(() => this.engine.hideMismatch(), this.gameData.gameConfig.matchDelay);
+        } else if (this.engine.flippedCards.length === this.engine.variant.matchSize) {
+            this.scheduleGameTimeout(() => this.checkForMatch(), this.gameData.gameConfig.matchDelay);
+        }
+        this.pausedAt = Date.now();
+
+        this.showMessage(`Saved game restored (${this.engine.matchedPairs}/${this.engine.cardStack.length} ${this.getMatchName(true)}). Click RESUME to continue!`);
+    }
+
+    // Throw away the saved game
+    discardSavedGame() {
+        this.clearSavedGame();
+        this.hideModal('resume-modal');
+        this.showMessage('Saved game discarded. Build your stack and click START GAME!');
+    }
+
+    // Display names of the difficulty modes
+    getModeLabels() {
+        return {
+            classic: 'CLASSIC',
+            timeAttack: 'TIME ATTACK',
+            limitedMoves: 'LIMITED MOVES',
+            hardcore: 'HARDCORE'
+        };
+    }
+
+    // Select the difficulty mode for the next game
+    setGameMode(mode) {
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot change mode during a game!');
+            return;
+        }
+
+        if (!this.engine.setGameMode(mode)) {
+            console.warn(`Unknown game mode: ${mode}`);
+            return;
+        }
+
+        const modeSelect = document.getElementById('mode-select');
+        if (modeSelect) modeSelect.value = mode;
+
+        this.updateHighScore();
+        this.updateDisplay();
+        this.showMessage(this.getModeRules());
+    }
+
+    // Describe the current mode's rules
+    getModeRules() {
+        switch (this.engine.gameMode) {
+            case 'timeAttack':
+                return `⏱️ TIME ATTACK: match all ${this.getMatchName(true)} within ${this.formatTime(this.engine.getTimeLimit())}!`;
+            case 'limitedMoves':
+                return `🎯 LIMITED MOVES: match all ${this.getMatchName(true)} within ${this.engine.getMoveBudget()} moves!`;
+            case 'hardcore':
+                return '💀 HARDCORE: every miss reshuffles the unmatched cards!';
+            default:
+                return `🎮 CLASSIC: no limits, just find every ${this.getMatchName()}.`;
+        }
+    }
+
+    // Start today's daily challenge: a stack, mode and deal picked from the local date
+    startDailyChallenge() {
+        if (this.engine.gameStarted) {
+            this.showMessage('Finish or reset the current game before the daily challenge!');
+            return;
+        }
+        if (this.engine.isMultiplayer()) {
+            this.showMessage('📅 The daily challenge is single-player. Switch to SOLO MODE first.');
+            return;
+        }
+
+        const dateKey = DailyChallenge.getDateKey();
+        const result = this.daily.getResult(this.playerName, dateKey);
+        const record = this.daily.getRecord(this.playerName);
+        const streak = this.daily.getStreak(this.playerName, dateKey);
+        const streakText = `Streak: ${streak} day${streak === 1 ? '' : 's'} (best ${record.bestStreak}).`;
+        if (result) {
+            const resultText = result.completed
+                ? `${result.score} pts in ${result.moves} moves`
+                : 'not completed';
+            this.showMessage(`📅 Today's challenge is done: ${resultText}. ${streakText} Come back tomorrow!`);
+            return;
+        }
+
+        const challenge = DailyChallenge.build(dateKey, this.gameData.cardData, {
+            minPairs: this.gameData.gameConfig.minCards,
+            maxPairs: this.gameData.gameConfig.stackOperations.maxStackSize
+        });
+
+        // The challenge is plain pairs on the built-in deck; the player's own setup comes back afterwards
+        const previous = {
+            cards: [...this.engine.cardStack],
+            mode: this.engine.gameMode,
+            operationsUsed: { ...this.engine.operationsUsed }
+        };
+        this.dailyChallenge = { dateKey, previous };
+        this.engine.setVariant(GameEngine.DEFAULT_VARIANT);
+        this.updateVariantControls();
+        this.setGameMode(challenge.mode);
+        this.engine.setCards(challenge.cards);
+        // Daily scores are compared day to day, so operations used earlier in the session earn no bonus
+        this.engine.operationsUsed = Object.fromEntries(Object.keys(previous.operationsUsed).map(id => [id, false]));
+        this.pendingGameSeed = challenge.seed;
+        this.startGame();
+
+        // startGame explains why it could not start; the attempt is only used once the game is on
+        if (!this.engine.gameStarted) {
+            this.dailyChallenge = null;
+            this.pendingGameSeed = null;
+            this.restoreDailySetup(previous);
+            return;
+        }
+        this.daily.startAttempt(this.playerName, dateKey, challenge.mode);
+
+        const modeLabel = this.getModeLabels()[challenge.mode];
+        this.showMessage(`📅 DAILY CHALLENGE ${dateKey}: ${challenge.cards.length} pairs, ${modeLabel}. ${this.getModeRules()} One scored attempt today! ${streakText}`);
+    }
+
+    // Record the daily attempt and give back the player's own stack, mode and variant
+    endDailyChallenge(completed) {
+        const challenge = this.dailyChallenge;
+        if (!challenge) return;
+
+        this.dailyChallenge = null;
+        this.daily.finishAttempt(this.playerName, challenge.dateKey, {
+            completed,
+            score: this.engine.score,
+            moves: this.engine.moves,
+            time: this.engine.timer
+        });
+
+        // An abandoned challenge is still in play; end it so the player's stack can come back
+        if (this.engine.gameStarted) this.engine.reset();
+        this.restoreDailySetup(challenge.previous);
+
+        if (completed) {
+            const streak = this.daily.getStreak(this.playerName, challenge.dateKey);
+            this.showMessage(`📅 Daily challenge complete! Streak: ${streak} day${streak === 1 ? '' : 's'}. Your own stack is back.`);
+        }
+    }
+
+    // Give back the stack, mode, variant and used operations the player had before the daily challenge
+    restoreDailySetup(previous) {
+        this.engine.setCards(previous.cards);
+        this.engine.setGameMode(previous.mode);
+        const modeSelect = document.getElementById('mode-select');
+        if (modeSelect) modeSelect.value = previous.mode;
+        this.engine.setVariant(this.loadVariant());
+        this.updateVariantControls();
+        // Challenges saved before used operations were kept leave the counter as it is
+        if (previous.operationsUsed) {
+            Object.keys(previous.operationsUsed).forEach(id => {
+                this.engine.operationsUsed[id] = previous.operationsUsed[id] || this.engine.operationsUsed[id];
+            });
+        }
+        this.updateHighScore();
+    }
+
+    // Variant saved in a previous session (plain pairs if none)
+    loadVariant() {
+        try {
+            return { ...GameEngine.DEFAULT_VARIANT, ...(JSON.parse(localStorage.getItem('stackMemoryVariant')) || {}) };
+        } catch (error) {
+            console.warn('Failed to read game variant:', error);
+            return GameEngine.DEFAULT_VARIANT;
+        }
+    }
+
+    // Change match size, match rule or shifting for the next game
+    setVariant(changes) {
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot change the variant during a game!');
+            this.updateVariantControls();
+            return;
+        }
+
+        if (!this.engine.setVariant(changes)) {
+            console.warn('Invalid game variant:', changes);
+            this.updateVariantControls();
+            return;
+        }
+
+        localStorage.setItem('stackMemoryVariant', JSON.stringify(this.engine.variant));
+        this.updateVariantControls();
+        this.updateHighScore();
+        this.showMessage(this.getVariantRules() || '🃏 Classic pairs of identical cards.');
+    }
+
+    // Show the engine's variant in the variant selects
+    updateVariantControls() {
+        const { matchSize, matchRule, shiftEvery } = this.engine.variant;
+        const values = { 'match-size-select': matchSize, 'match-rule-select': matchRule, 'shift-select': shiftEvery };
+        Object.entries(values).forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) select.value = String(value);
+        });
+    }
+
+    // Short label of a variant for the leaderboard filter and best times, e.g. "TRIPLETS BY COLOR, SHIFT 5"
+    getVariantLabel(variant) {
+        const { matchSize, matchRule, shiftEvery } = { ...GameEngine.DEFAULT_VARIANT, ...variant };
+        let label = { 2: 'PAIRS', 3: 'TRIPLETS', 4: 'QUADS' }[matchSize];
+        if (matchRule !== 'identical') label += ` BY ${matchRule.toUpperCase()}`;
+        if (shiftEvery > 0) label += `, SHIFT ${shiftEvery}`;
+        return label;
+    }
+
+    // Name of one match for the current match size
+    getMatchName(plural = false) {
+        const name = { 2: 'pair', 3: 'triplet', 4: 'quad' }[this.engine.variant.matchSize];
+        return plural ? `${name}s` : name;
+    }
+
+    // Describe a non-default variant ('' for plain pairs)
+    getVariantRules() {
+        const { matchSize, matchRule, shiftEvery } = this.engine.variant;
+        const rules = [];
+        if (matchSize !== 2 || matchRule !== 'identical') {
+            const what = { identical: 'the same card', color: 'the same color', rarity: 'the same rarity' }[matchRule];
+            rules.push(`🃏 Match ${this.getMatchName(true).toUpperCase()} of ${what}.`);
+        }
+        if (shiftEvery > 0) {
+            rules.push(`🔀 The board shifts every ${shiftEvery} moves.`);
+        }
+        return rules.join(' ');
+    }
+
+    // Fit the board's grid and card size to the visible area; cards keep their flipped/matched state
+    layoutBoard(cardCount = this.gameBoard.querySelectorAll('.memory-card').length) {
+        if (!this.gameBoard || cardCount === 0) return;
+
+        const style = window.getComputedStyle(this.gameBoard);
+        const gap = parseFloat(style.columnGap) || 8;
+        const paddingX = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+        const paddingY = (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
+        const borders = this.gameBoard.offsetHeight - this.gameBoard.clientHeight || 0;
+
+        // The board is as wide as its wrapper and reaches from its top edge to the bottom of the viewport
+        // (a board that starts below the fold still gets half the viewport rather than nothing)
+        const viewportHeight = window.innerHeight || 800;
+        const boardTop = Math.max(0, this.gameBoard.getBoundingClientRect().top);
+        const width = (this.gameBoard.clientWidth || 800) - paddingX;
+        const height = Math.max(viewportHeight / 2, viewportHeight - boardTop - 20) - borders - paddingY;
+        const layout = BoardLayout.compute(cardCount, width, height, { gap, zoom: this.boardZoom });
+
+        this.gameBoard.style.gridTemplateColumns = `repeat(${layout.columns}, ${layout.cardSize}px)`;
+        this.gameBoard.style.setProperty('--card-size', `${layout.cardSize}px`);
+        this.gameBoard.style.setProperty('--card-icon-size', `${layout.iconSize}px`);
+        this.boardColumns = layout.columns;
+    }
+
+    // Re-fit the board once resizing or rotating settles
+    scheduleBoardLayout() {
+        clearTimeout(this.layoutTimeout);
+        this.layoutTimeout = setTimeout(() => this.layoutBoard(), 100);
+    }
+
+    // Zoom the board (clamped) and show the zoom level on the fit button
+    setBoardZoom(zoom) {
+        this.boardZoom = BoardLayout.clampZoom(zoom);
+        this.layoutBoard();
+
+        const fitBtn = document.getElementById('zoom-fit-btn');
+        if (fitBtn) fitBtn.textContent = `${Math.round(this.boardZoom * 100)}%`;
+    }
+
+    // Zoom with Ctrl + wheel (trackpad pinches arrive this way too); plain wheel scrolls
+    handleBoardWheel(event) {
+        if (!event.ctrlKey) return;
+
+        event.preventDefault();
+        const { step } = BoardLayout.ZOOM;
+        this.setBoardZoom(this.boardZoom * (event.deltaY < 0 ? step : 1 / step));
+    }
+
+    // Two-finger pinch zooms relative to the zoom at the start of the pinch
+    handleBoardTouch(event) {
+        if (event.touches.length !== 2) {
+            this.pinchStart = null;
+            return;
+        }
+
+        event.preventDefault();
+        const distance = BoardLayout.getTouchDistance(event.touches);
+        if (!this.pinchStart) {
+            this.pinchStart = { distance, zoom: this.boardZoom };
+            return;
+        }
+        this.setBoardZoom(this.pinchStart.zoom * distance / this.pinchStart.distance);
+    }
+
+    // Timer text (counts down in Time Attack)
+    getTimerDisplay() {
+        if (this.engine.gameMode === 'timeAttack') {
+            return this.formatTime(Math.max(0, this.engine.getTimeLimit() - this.engine.timer));
+        }
+        return this.formatTime(this.engine.timer);
+    }
+
+    // Moves text (shows the budget in Limited Moves)
+    getMovesDisplay() {
+        if (this.engine.gameMode === 'limitedMoves') {
+            return `${this.engine.moves}/${this.engine.getMoveBudget()}`;
+        }
+        return `${this.engine.moves}`;
+    }
+
+    // Hardcore: the engine moved the unmatched cards; redraw the board
+    onReshuffled({ order, count, reason }) {
+        this.recordReplayEvent({ type: 'layout', order });
+        this.renderCards();
+        this.saveGameState();
+        if (reason === 'shift') {
+            this.showMessage(`🔀 The board shifted! ${count} unmatched cards changed places.`);
+        }
+        console.log(`${reason === 'shift' ? 'Shifting' : 'Hardcore'} reshuffle of ${count} cards`);
+    }
+
+    // Game lost (time or moves ran out)
+    gameLost(reason) {
+        this.clearSavedGame();
+        this.stopTimer();
+
+        const reasonEl = document.getElementById('lost-reason');
+        const lostPairsEl = document.getElementById('lost-pairs');
+        const lostMovesEl = document.getElementById('lost-moves');
+        const lostTimeEl = document.getElementById('lost-time');
+
+        if (reasonEl) reasonEl.textContent = reason;
+        if (lostPairsEl) lostPairsEl.textContent = `${this.engine.matchedPairs}/${this.engine.cardStack.length}`;
+        if (lostMovesEl) lostMovesEl.textContent = this.engine.moves;
+        if (lostTimeEl) lostTimeEl.textContent = this.formatTime(this.engine.timer);
+
+        this.finishReplay(false);
+        if (!this.engine.isMultiplayer()) {
+            this.recordProfileGame(false);
+        }
+        this.soundManager.play('defeat');
+        this.showModal('game-lost-modal');
+        this.updateButtonStates();
+        this.showMessage(`${reason} Game over - try again!`);
+        this.endDailyChallenge(false);
+    }
+
+    // Try again after losing
+    retryAfterLoss() {
+        this.closeGameLostModal();
+        this.startGame();
+    }
+
+    // Close game lost modal
+    closeGameLostModal() {
+        this.hideModal('game-lost-modal');
+    }
+
+    // Update the turn indicator next to the game stats
+    updateTurnIndicator() {
+        const turnItemEl = document.getElementById('turn-stat');
+        const turnEl = document.getElementById('current-turn');
+        if (!turnItemEl || !turnEl) return;
+
+        if (!this.engine.isMultiplayer()) {
+            turnItemEl.style.display = 'none';
+            return;
+        }
+
+        const player = this.engine.getCurrentPlayer();
+        turnEl.textContent = `${player.name} (${player.score})`;
+        turnItemEl.style.display = 'block';
+    }
+
+    // Switch between single-player and hot-seat setup
+    toggleMultiplayer() {
+        if (this.engine.gameStarted) {
+            this.showMessage('Finish or reset the current game before changing players!');
+            return;
+        }
+
+        if (this.engine.isMultiplayer()) {
+            this.engine.setPlayers([]);
+            this.updateTurnIndicator();
+            this.updateButtonStates();
+            this.showMessage(`Back to single-player, ${this.playerName}!`);
+            return;
+        }
+
+        this.renderHotseatNameInputs();
+        this.showModal('multiplayer-modal');
+    }
+
+    // Render one name input per hot-seat player
+    renderHotseatNameInputs() {
+        const countEl = document.getElementById('hotseat-player-count');
+        const namesEl = document.getElementById('hotseat-names');
+        if (!countEl || !namesEl) return;
+
+        const count = parseInt(countEl.value) || 2;
+        const previousNames = Array.from(namesEl.querySelectorAll('input')).map(input => input.value);
+        const maxLength = this.gameData?.playerSettings?.maxNameLength || 20;
+
+        namesEl.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'hotseat-name';
+            input.maxLength = maxLength;
+            input.placeholder = `Player ${i + 1}`;
+            input.value = previousNames[i] || (i === 0 ? this.playerName : `Player ${i + 1}`);
+            input.setAttribute('aria-label', `Player ${i + 1} name`);
+            namesEl.appendChild(input);
+        }
+    }
+
+    // Start a hot-seat game with the entered names
+    startMultiplayerGame() {
+        const namesEl = document.getElementById('hotseat-names');
+        if (!namesEl) return;
+
+        const names = Array.from(namesEl.querySelectorAll('input')).map(input => input.value.trim());
+        if (names.some(name => name.length === 0)) {
+            alert('Please enter a name for every player!');
+            return;
+        }
+        if (new Set(names).size !== names.length) {
+            alert('Each player needs a different name!');
+            return;
+        }
+
+        this.engine.setPlayers(names);
+        this.closeMultiplayerSetup();
+        this.updateTurnIndicator();
+        this.startGame();
+    }
+
+    // Close hot-seat setup modal
+    closeMultiplayerSetup() {
+        this.hideModal('multiplayer-modal');
+    }
+
+    // Show per-player results and the winner in the game over modal
+    renderFinalPlayers() {
+        const finalPlayersEl = document.getElementById('final-players');
+        if (!finalPlayersEl) return;
+
+        if (!this.engine.isMultiplayer()) {
+            finalPlayersEl.style.display = 'none';
+            return;
+        }
+
+        const ranking = [...this.engine.players].sort((a, b) => b.score - a.score);
+        const topScore = ranking[0].score;
+        const winners = ranking.filter(player => player.score === topScore);
+        const headline = winners.length > 1
+            ? `🤝 TIE: ${winners.map(player => this.escapeHTML(player.name)).join(' & ')}!`
+            : `🏆 WINNER: ${this.escapeHTML(winners[0].name)}!`;
+
+        finalPlayersEl.innerHTML = `
+            <p class="final-winner">${headline}</p>
+            ${ranking.map(player => `<p>${this.escapeHTML(player.name)}: ${player.score} pts (${player.pairs} pairs)</p>`).join('')}
+        `;
+        finalPlayersEl.style.display = 'block';
+    }
+
+    // UNDO: restore the stack from before the last operation
+    undoStackOperation() {
+        // Paused games count too: the board was dealt from this stack
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot change the stack during a game!');
+            return;
+        }
+
+        const command = this.stackHistory.undo();
+        if (!command) {
+            this.showMessage('Nothing to undo!');
+            return;
+        }
+
+        this.engine.setCards(command.before);
+        this.renderHistoryLog();
+        this.showMessage(`↩️ UNDO: ${command.operation} ${command.detail} (stack size ${this.engine.cardStack.length})`);
+    }
+
+    // REDO: re-apply the last undone operation
+    redoStackOperation() {
+        // Paused games count too: the board was dealt from this stack
+        if (this.engine.gameStarted) {
+            this.showMessage('Cannot change the stack during a game!');
+            return;
+        }
+
+        const command = this.stackHistory.redo();
+        if (!command) {
+            this.showMessage('Nothing to redo!');
+            return;
+        }
+
+        this.engine.setCards(command.after);
+        this.renderHistoryLog();
+        this.showMessage(`↪️ REDO: ${command.operation} ${command.detail} (stack size ${this.engine.cardStack.length})`);
+    }
+
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside text fields and modals
+    handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || this.openModals.length > 0) return;
+
+        const tagName = event.target && event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undoStackOperation();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redoStackOperation();
+        }
+    }
+
+    // Show the stack operation log
+    showHistoryLog() {
+        this.renderHistoryLog();
+        this.showModal('history-modal');
+    }
+
+    // Render the stack operation log, newest first
+    renderHistoryLog() {
+        const logEl = document.getElementById('history-log');
+        if (!logEl) return;
+
+        const entries = this.stackHistory.log;
+        if (entries.length === 0) {
+            logEl.innerHTML = '<li class="stack-placeholder">No stack operations yet!</li>';
+            return;
+        }
+
+        logEl.innerHTML = entries.slice().reverse().map(entry => `
+            <li class="history-entry">
+                <span class="history-operation">${this.escapeHTML(entry.operation)}</span>
+                <span class="history-detail">${this.escapeHTML(entry.detail)}</span>
+                <span class="history-size">SIZE ${entry.stackSize}</span>
+            </li>
+        `).join('');
+    }
+
+    // Close the stack operation log
+    closeHistoryLog() {
+        this.hideModal('history-modal');
+    }
+
+    // Load the current player's settings, defaulting to playerSettings from data.json
+    loadPlayerSettings() {
+        const defaults = {
+            soundEnabled: this.gameData?.playerSettings?.soundEnabled !== false,
+            animationsEnabled: this.gameData?.playerSettings?.animationsEnabled !== false,
+            musicEnabled: false,
+            pseudoCodeEnabled: false,
+            volume: 0.5
+        };
+
+        try {
+            const allSettings = JSON.parse(localStorage.getItem('stackMemorySettings')) || {};
+            return { ...defaults, ...(allSettings[this.playerName] || {}) };
+        } catch (error) {
+            console.warn('Failed to read settings, using defaults:', error);
+            return defaults;
+        }
+    }
+
+    // Save the current player's settings
+    savePlayerSettings() {
+        let allSettings = {};
+        try {
+            allSettings = JSON.parse(localStorage.getItem('stackMemorySettings')) || {};
+        } catch (error) {
+            console.warn('Failed to read settings, overwriting:', error);
+        }
+        allSettings[this.playerName] = this.playerSettings;
+        localStorage.setItem('stackMemorySettings', JSON.stringify(allSettings));
+    }
+
+    // Load and apply the current player's sound and animation settings
+    applyPlayerSettings() {
+        this.playerSettings = this.loadPlayerSettings();
+        const settings = this.playerSettings;
+
+        this.soundManager.setMuted(!settings.soundEnabled);
+        this.soundManager.setVolume(settings.volume);
+        this.soundManager.setMusicEnabled(settings.musicEnabled, this.engine.gameActive);
+        document.body.classList.toggle('no-animations', !settings.animationsEnabled);
+        
+        const pseudoCodePane = document.getElementById('pseudo-code-pane');
+        if (pseudoCodePane) pseudoCodePane.style.display = settings.pseudoCodeEnabled ? 'block' : 'none';
+
+        const soundInput = document.getElementById('setting-sound');
+        const musicInput = document.getElementById('setting-music');
+        const animationsInput = document.getElementById('setting-animations');
+        const volumeInput = document.getElementById('setting-volume');
+        if (soundInput) soundInput.checked = settings.soundEnabled;
+        if (musicInput) musicInput.checked = settings.musicEnabled;
+        if (animationsInput) animationsInput.checked = settings.animationsEnabled;
+        const pseudoCodeInput = document.getElementById('setting-pseudo-code');
+        if (pseudoCodeInput) pseudoCodeInput.checked = settings.pseudoCodeEnabled;
+        if (volumeInput) volumeInput.value = Math.round(settings.volume * 100);
+
+        const muteBtn = document.getElementById('mute-btn');
+        if (muteBtn) {
+            muteBtn.textContent = settings.soundEnabled ? '🔊 SOUND' : '🔇 MUTED';
+            muteBtn.setAttribute('aria-pressed', String(!settings.soundEnabled));
+        }
+    }
+
+    // Change one setting, persist it and apply it
+    updatePlayerSetting(key, value) {
+        this.playerSettings = { ...this.loadPlayerSettings(), [key]: value };
+        this.savePlayerSettings();
+        this.applyPlayerSettings();
+    }
+
+    // Mute toggle
+    toggleMute() {
+        this.updatePlayerSetting('soundEnabled', !this.playerSettings.soundEnabled);
+        this.soundManager.play('flip');
+    }
+
+    // Show settings modal
+    showSettings() {
+        this.applyPlayerSettings();
+        this.renderGameRules();
+        this.showModal('settings-modal');
+    }
+
+    // Editable gameConfig fields: input id -> [config path, label]
+    getGameRuleFields() {
+        return {
+            'rule-match-delay': [['matchDelay'], 'Match delay (ms)'],
+            'rule-flip-duration': [['flipDuration'], 'Flip duration (ms)'],
+            'rule-min-cards': [['minCards'], 'Min cards'],
+            'rule-default-cards': [['defaultCards'], 'Default cards'],
+            'rule-max-stack': [['stackOperations', 'maxStackSize'], 'Max stack size']
+        };
+    }
+
+    // Build a gameConfig from data.json's config plus rule overrides
+    buildGameConfig(overrides) {
+        const config = JSON.parse(JSON.stringify(this.baseGameConfig));
+        Object.keys(overrides).forEach(key => {
+            if (key === 'maxStackSize') {
+                config.stackOperations.maxStackSize = overrides[key];
+            } else {
+                config[key] = overrides[key];
+            }
+        });
+        return config;
+    }
+
+    // Validate a gameConfig with the same rules used for data.json
+    validateGameRules(config) {
+        const validator = new GameDataValidator({ gameConfig: this.baseGameConfig });
+        validator.validateGameConfig(config);
+        return validator.problems;
+    }
+
+    // Apply a gameConfig to the game
+    applyGameConfig(config) {
+        this.gameData.gameConfig = config;
+        this.engine.setConfig(config);
+        if (this.gameBoard) {
+            this.gameBoard.style.setProperty('--flip-duration', `${config.flipDuration}ms`);
+        }
+        this.updateStackDisplay();
+        this.updateButtonStates();
+        console.log('Game config applied:', config);
+    }
+
+    // Load rule overrides saved in a previous session
+    loadSavedGameRules() {
+        let overrides = null;
+        try {
+            overrides = JSON.parse(localStorage.getItem('stackMemoryGameConfig'));
+        } catch (error) {
+            console.warn('Failed to read saved game rules:', error);
+        }
+
+        if (!overrides) {
+            this.applyGameConfig(this.gameData.gameConfig);
+            return;
+        }
+
+        const config = this.buildGameConfig(overrides);
+        const problems = this.validateGameRules(config);
+        if (problems.length > 0) {
+            console.warn('Saved game rules no longer valid, using data.json:', problems);
+            this.applyGameConfig(this.gameData.gameConfig);
+            return;
+        }
+
+        this.applyGameConfig(config);
+    }
+
+    // Fill the rule inputs from the config the next game will use
+    renderGameRules(problems = []) {
+        const config = this.pendingGameConfig || this.gameData.gameConfig;
+
+        Object.entries(this.getGameRuleFields()).forEach(([inputId, [path]]) => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.value = path.reduce((value, key) => value[key], config);
+            }
+        });
+
+        const errorsEl = document.getElementById('rules-errors');
+        if (errorsEl) {
+            errorsEl.innerHTML = problems.map(problem => `<div>❌ ${problem.path}: ${problem.message}</div>`).join('');
+            errorsEl.classList.toggle('has-errors', problems.length > 0);
+        }
+    }
+
+    // Validate and save the rule inputs
+    saveGameRules() {
+        const overrides = {};
+        Object.entries(this.getGameRuleFields()).forEach(([inputId, [path]]) => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                overrides[path[path.length - 1]] = Number(input.value);
+            }
+        });
+
+        const config = this.buildGameConfig(overrides);
+        const problems = this.validateGameRules(config);
+        if (problems.length > 0) {
+            this.renderGameRules(problems);
+            // Keep what the player typed so it can be corrected
+            Object.entries(this.getGameRuleFields()).forEach(([inputId, [path]]) => {
+                const input = document.getElementById(inputId);
+                if (input) input.value = overrides[path[path.length - 1]];
+            });
+            return;
+        }
+
+        localStorage.setItem('stackMemoryGameConfig', JSON.stringify(overrides));
+        this.setNextGameConfig(config);
+        this.renderGameRules();
+    }
+
+    // Drop rule overrides and go back to data.json's values
+    resetGameRules() {
+        localStorage.removeItem('stackMemoryGameConfig');
+        this.setNextGameConfig(JSON.parse(JSON.stringify(this.baseGameConfig)));
+        this.renderGameRules();
+    }
+
+    // Apply a config now, or after the current game if one is running
+    setNextGameConfig(config) {
+        if (this.engine.gameStarted) {
+            this.pendingGameConfig = config;
+            this.showMessage('⚙️ Rules saved! They apply from your next game.');
+        } else {
+            this.pendingGameConfig = null;
+            this.applyGameConfig(config);
+            this.showMessage('⚙️ Rules saved and applied!');
+        }
+    }
+
+    // Close settings modal
+    closeSettings() {
+        this.hideModal('settings-modal');
+    }
+
+    // Add an event to the replay being recorded
+    recordReplayEvent(event) {
+        if (!this.replayLog) return;
+        this.replayLog.events.push({ ...event, t: Date.now() - this.replayStartTime });
+    }
+
+    // Finish recording and keep the replay as the last game
+    finishReplay(completed) {
+        if (!this.replayLog) return;
+
+        this.replayLog.result = {
+            completed,
+            score: this.engine.score,
+            moves: this.engine.moves,
+            time: this.engine.timer
+        };
+
+        try {
+            localStorage.setItem('stackMemoryLastReplay', JSON.stringify(this.replayLog));
+        } catch (error) {
+            console.warn('Failed to save replay:', error);
+        }
+        this.replayLog = null;
+    }
+
+    // Open the replay viewer with the last finished game
+    watchLastReplay() {
+        let replay = null;
+        try {
+            replay = JSON.parse(localStorage.getItem('stackMemoryLastReplay'));
+        } catch (error) {
+            console.warn('Failed to read last replay:', error);
+        }
+
+        if (!replay) {
+            this.showMessage('No replay yet - finish a game first, or IMPORT one from the replay bar.');
+            this.openReplay(null);
+            return;
+        }
+
+        this.openReplay(replay);
+    }
+
+    // Show the replay bar and load a replay onto the board
+    openReplay(replay) {
+        if (this.engine.gameStarted) {
+            this.showMessage('Finish or reset the current game before watching a replay!');
+            return;
+        }
+
+        this.pauseReplay();
+        const controls = document.getElementById('replay-controls');
+        if (controls) controls.style.display = 'flex';
+
+        if (!replay) {
+            this.replayPlayer = null;
+            this.updateReplayControls();
+            return;
+        }
+
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.renderReplayBoard();
+
+        const result = replay.result;
+        const summary = result
+            ? `${result.completed ? 'completed' : 'lost'} with ${result.score} points in ${result.moves} moves`
+            : 'unfinished';
+        this.showMessage(`🎬 REPLAY: ${replay.player} (${replay.mode}), ${summary}. Press PLAY!`);
+    }
+
+    // Re-render the whole board from the replay state
+    renderReplayBoard() {
+        this.renderCards(this.replayPlayer.cards);
+        this.updateReplayControls();
+    }
+
+    // Update card classes after a step without re-rendering
+    syncReplayBoard() {
+        const cardElements = this.gameBoard.querySelectorAll('.memory-card');
+        this.replayPlayer.cards.forEach((card, index) => {
+            const element = cardElements[index];
+            if (!element) return;
+            element.classList.toggle('flip', card.flipped);
+            element.classList.toggle('matched', card.matched);
+            this.updateCardAria(element, card, index);
+        });
+        this.updateReplayControls();
+    }
+
+    // Apply one replay event to the board
+    stepReplay() {
+        if (!this.replayPlayer || this.replayPlayer.isFinished()) {
+            this.pauseReplay();
+            return;
+        }
+
+        const event = this.replayPlayer.step();
+        if (event.type === 'layout') {
+            this.renderReplayBoard();
+        } else {
+            this.syncReplayBoard();
+            this.soundManager.play('flip');
+        }
+    }
+
+    // Go back one event (re-simulated from the start)
+    stepReplayBack() {
+        if (!this.replayPlayer || this.replayPlayer.position === 0) return;
+
+        this.pauseReplay();
+        this.replayPlayer.seek(this.replayPlayer.position - 1);
+        this.renderReplayBoard();
+    }
+
+    // Play or pause the replay
+    toggleReplayPlayback() {
+        if (!this.replayPlayer) return;
+
+        if (this.replayPlaying) {
+            this.pauseReplay();
+            return;
+        }
+
+        if (this.replayPlayer.isFinished()) {
+            this.replayPlayer.reset();
+            this.renderReplayBoard();
+        }
+
+        this.replayPlaying = true;
+        this.updateReplayControls();
+        this.scheduleReplayStep();
+    }
+
+    // Wait as long as the player did (scaled by speed), then step
+    scheduleReplayStep() {
+        if (!this.replayPlaying || !this.replayPlayer) return;
+
+        if (this.replayPlayer.isFinished()) {
+            this.pauseReplay();
+            this.showMessage('🎬 Replay finished!');
+            return;
+        }
+
+        const events = this.replayPlayer.replay.events;
+        const previousTime = this.replayPlayer.position > 0 ? events[this.replayPlayer.position - 1].t : 0;
+        const gap = Math.min(2500, Math.max(150, this.replayPlayer.nextEventTime() - previousTime));
+
+        this.replayTimeout = setTimeout(() => {
+            this.stepReplay();
+            this.scheduleReplayStep();
+        }, gap / this.replaySpeed);
+    }
+
+    // Stop automatic playback
+    pauseReplay() {
+        this.replayPlaying = false;
+        if (this.replayTimeout) {
+            clearTimeout(this.replayTimeout);
+            this.replayTimeout = null;
+        }
+        this.updateReplayControls();
+    }
+
+    // Change playback speed
+    setReplaySpeed(speed) {
+        this.replaySpeed = speed > 0 ? speed : 1;
+    }
+
+    // Update play button text and progress
+    updateReplayControls() {
+        const playBtn = document.getElementById('replay-play-btn');
+        const progressEl = document.getElementById('replay-progress');
+        const hasReplay = Boolean(this.replayPlayer);
+
+        if (playBtn) {
+            playBtn.textContent = this.replayPlaying ? 'PAUSE' : 'PLAY';
+            playBtn.disabled = !hasReplay;
+        }
+        ['replay-step-btn', 'replay-back-btn', 'replay-export-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !hasReplay;
+        });
+        if (progressEl) {
+            progressEl.textContent = hasReplay
+                ? `STEP ${this.replayPlayer.position}/${this.replayPlayer.length}`
+                : 'NO REPLAY';
+        }
+    }
+
+    // Close the replay viewer and clear the board
+    closeReplay() {
+        this.pauseReplay();
+        this.replayPlayer = null;
+        if (this.gameBoard) {
+            this.gameBoard.innerHTML = '';
+        }
+
+        const controls = document.getElementById('replay-controls');
+        if (controls) controls.style.display = 'none';
+    }
+
+    // Download the replay being viewed as JSON
+    exportReplay() {
+        if (!this.replayPlayer) return;
+
+        const replay = this.replayPlayer.replay;
+        const json = JSON.stringify(replay, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `replay-${replay.player}-${replay.date.slice(0, 10)}.json`.replace(/[^a-z0-9_.-]+/gi, '_');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Load a replay from a JSON file
+    importReplay(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            fileInput.value = '';
+            try {
+                const replay = GameReplay.validate(JSON.parse(reader.result));
+                this.openReplay(replay);
+            } catch (error) {
+                this.showMessage(`Invalid replay file: ${error.message}`);
+            }
+        };
+        reader.onerror = () => this.showMessage('Could not read the replay file');
+        reader.readAsText(file);
+    }
+
+    // Cards of the active deck (custom deck or cardData from data.json)
+    getActiveCards() {
+        const activeName = this.deckManager.getActiveName();
+        if (activeName === DeckManager.DEFAULT_DECK) {
+            return this.gameData.cardData;
+        }
+        return this.deckManager.getDeck(activeName) || this.gameData.cardData;
+    }
+
+    // Cards of a deck by name
+    getDeckCards(name) {
+        if (name === DeckManager.DEFAULT_DECK) {
+            return this.gameData.cardData;
+        }
+        return this.deckManager.getDeck(name) || [];
+    }
+
+    // Escape text for use inside HTML markup (card and deck names can come from imported files)
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Card face markup: uploaded image if present, otherwise the emoji icon
+    getCardIconHTML(card) {
+        if (card.image) {
+            return `<img class="card-image" src="${this.escapeHTML(card.image)}" alt="">`;
+        }
+        return this.escapeHTML(card.icon);
+    }
+
+    // Show deck editor modal
+    showDeckEditor() {
+        this.editingDeckName = this.deckManager.getActiveName();
+        this.renderDeckEditor();
+        this.showModal('deck-modal');
+    }
+
+    // Close deck editor modal
+    closeDeckEditor() {
+        this.hideModal('deck-modal');
+    }
+
+    // Render the deck list and the cards of the deck being edited
+    renderDeckEditor(errors = []) {
+        const deckSelect = document.getElementById('deck-select');
+        const deckCardsEl = document.getElementById('deck-cards');
+        const cardForm = document.getElementById('deck-card-form');
+        const errorsEl = document.getElementById('deck-errors');
+        if (!deckSelect || !deckCardsEl) {
+            console.error('Deck editor elements not found');
+            return;
+        }
+
+        const activeName = this.deckManager.getActiveName();
+        const deckNames = [DeckManager.DEFAULT_DECK, ...this.deckManager.getDeckNames()];
+        deckSelect.innerHTML = '';
+        deckNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name}${name === activeName ? ' (ACTIVE)' : ''}`;
+            deckSelect.appendChild(option);
+        });
+        deckSelect.value = this.editingDeckName;
+
+        const isBuiltIn = this.editingDeckName === DeckManager.DEFAULT_DECK;
+        const cards = this.getDeckCards(this.editingDeckName);
+
+        deckCardsEl.innerHTML = '';
+        if (cards.length === 0) {
+            deckCardsEl.innerHTML = '<div class="stack-placeholder">No cards yet - add some below!</div>';
+        }
+
+        cards.forEach(card => {
+            const cardEl = document.createElement('div');
+            cardEl.className = 'available-card';
+            cardEl.style.backgroundColor = card.color;
+            cardEl.innerHTML = `
+                <div class="available-card-icon" aria-hidden="true">${this.getCardIconHTML(card)}</div>
+                <div class="available-card-name">${this.escapeHTML(card.name)}</div>
+                <div class="available-card-name">${card.points} pts | ${this.escapeHTML(card.rarity)}</div>
+            `;
+            if (!isBuiltIn) {
+                cardEl.setAttribute('role', 'button');
+                cardEl.setAttribute('tabindex', '0');
+                cardEl.setAttribute('aria-label', `Remove ${card.name} from deck`);
+                cardEl.title = 'Click to remove';
+                cardEl.addEventListener('click', () => this.removeDeckCard(card.id));
+                cardEl.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        this.removeDeckCard(card.id);
+                    }
+                });
+            }
+            deckCardsEl.appendChild(cardEl);
+        });
+
+        if (cardForm) {
+            cardForm.style.display = isBuiltIn ? 'none' : 'flex';
+        }
+
+        const deleteBtn = document.getElementById('delete-deck-btn');
+        const useBtn = document.getElementById('use-deck-btn');
+        if (deleteBtn) deleteBtn.disabled = isBuiltIn;
+        if (useBtn) useBtn.disabled = this.engine.gameStarted || this.editingDeckName === activeName;
+
+        if (errorsEl) {
+            const notes = isBuiltIn ? ['The built-in deck is read-only. Create a NEW deck to add your own cards.'] : [];
+            errorsEl.innerHTML = [...notes, ...errors].map(message => `<div>${this.escapeHTML(message)}</div>`).join('');
+            errorsEl.classList.toggle('has-errors', errors.length > 0);
+        }
+    }
+
+    // Switch the deck shown in the editor
+    selectEditingDeck(name) {
+        this.editingDeckName = name;
+        this.renderDeckEditor();
+    }
+
+    // Create a new empty deck
+    createDeck() {
+        const name = prompt('Name for the new deck:');
+        if (!name) return;
+
+        if (this.deckManager.getDeck(name.trim())) {
+            this.renderDeckEditor([`A deck named "${name.trim()}" already exists.`]);
+            return;
+        }
+
+        try {
+            this.editingDeckName = this.deckManager.saveDeck(name, []);
+            this.renderDeckEditor();
+        } catch (error) {
+            this.renderDeckEditor([error.message]);
+        }
+    }
+
+    // Delete the deck being edited
+    deleteDeck() {
+        const name = this.editingDeckName;
+        if (name === DeckManager.DEFAULT_DECK) return;
+
+        if (this.engine.gameStarted && name === this.deckManager.getActiveName()) {
+            this.renderDeckEditor(['Cannot delete the active deck during a game!']);
+            return;
+        }
+
+        if (!confirm(`Delete deck "${name}"?`)) return;
+
+        const wasActive = name === this.deckManager.getActiveName();
+        this.deckManager.deleteDeck(name);
+        this.editingDeckName = this.deckManager.getActiveName();
+
+        if (wasActive) {
+            this.initializeDefaultStack();
+        }
+        this.renderDeckEditor();
+    }
+
+    // Make the deck being edited the active deck and rebuild the stack from it
+    useDeck() {
+        if (this.engine.gameStarted) {
+            this.renderDeckEditor(['Cannot change decks during a game!']);
+            return;
+        }
+
+        this.deckManager.setActive(this.editingDeckName);
+        this.pendingGameSeed = null;
+        this.initializeDefaultStack();
+        this.renderDeckEditor();
+        this.showMessage(`🃏 Now playing with the "${this.editingDeckName}" deck!`);
+    }
+
+    // Read an uploaded image as a data URL
+    readImageFile(file, maxBytes = 100 * 1024) {
+        return new Promise((resolve, reject) => {
+            if (!file.type.startsWith('image/')) {
+                reject(new Error('Uploaded file must be an image'));
+                return;
+            }
+            if (file.size > maxBytes) {
+                reject(new Error(`Image must be smaller than ${Math.round(maxBytes / 1024)}KB`));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Could not read the image file'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Add a card from the editor form to the deck being edited
+    async addDeckCard() {
+        const name = this.editingDeckName;
+        const cards = [...this.getDeckCards(name)];
+
+        const nameInput = document.getElementById('card-name-input');
+        const iconInput = document.getElementById('card-icon-input');
+        const imageInput = document.getElementById('card-image-input');
+        const colorInput = document.getElementById('card-color-input');
+        const pointsInput = document.getElementById('card-points-input');
+        const rarityInput = document.getElementById('card-rarity-input');
+
+        const card = {
+            id: DeckManager.nextCardId(cards),
+            name: nameInput ? nameInput.value.trim() : '',
+            icon: iconInput ? iconInput.value.trim() : '',
+            color: colorInput ? colorInput.value.toUpperCase() : '',
+            points: pointsInput ? parseInt(pointsInput.value) : NaN,
+            rarity: rarityInput ? rarityInput.value : ''
+        };
+
+        try {
+            if (imageInput && imageInput.files.length > 0) {
+                card.image = await this.readImageFile(imageInput.files[0]);
+            }
+        } catch (error) {
+            this.renderDeckEditor([error.message]);
+            return;
+        }
+
+        const errors = DeckManager.validateCard(card, 'New card');
+        if (errors.length > 0) {
+            this.renderDeckEditor(errors);
+            return;
+        }
+
+        cards.push(card);
+        try {
+            this.deckManager.saveDeck(name, cards);
+        } catch (error) {
+            this.renderDeckEditor([error.message]);
+            return;
+        }
+
+        if (nameInput) nameInput.value = '';
+        if (iconInput) iconInput.value = '';
+        if (imageInput) imageInput.value = '';
+        this.renderDeckEditor();
+        console.log(`Added card ${card.name} to deck ${name}`);
+    }
+
+    // Remove a card from the deck being edited
+    removeDeckCard(cardId) {
+        const name = this.editingDeckName;
+        if (name === DeckManager.DEFAULT_DECK) return;
+
+        if (this.engine.gameStarted && name === this.deckManager.getActiveName()) {
+            this.renderDeckEditor(['Cannot remove cards from the active deck during a game!']);
+            return;
+        }
+
+        const cards = this.getDeckCards(name).filter(card => card.id !== cardId);
+        this.deckManager.saveDeck(name, cards);
+
+        // Keep the stack consistent with the active deck
+        if (name === this.deckManager.getActiveName() && this.engine.cardStack.some(card => card.id === cardId)) {
+            this.engine.setCards(this.engine.cardStack.filter(card => card.id !== cardId));
+        }
+
+        this.renderDeckEditor();
+    }
+
+    // Import a deck from a JSON file
+    importDeck(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            fileInput.value = '';
+            try {
+                const fallbackName = file.name.replace(/(\.deck)?\.json$/i, '');
+                const deck = DeckManager.parseDeckFile(reader.result, fallbackName);
+                let deckName = String(deck.name).trim();
+
+                if (deckName === DeckManager.DEFAULT_DECK) {
+                    deckName = `${deckName} (imported)`;
+                }
+                if (this.deckManager.getDeck(deckName) && !confirm(`Replace existing deck "${deckName}"?`)) {
+                    return;
+                }
+
+                this.editingDeckName = this.deckManager.saveDeck(deckName, deck.cards);
+                this.renderDeckEditor();
+                this.showMessage(`📥 Imported deck "${deckName}" with ${deck.cards.length} cards!`);
+            } catch (error) {
+                this.renderDeckEditor(error.message.split('\n'));
+            }
+        };
+        reader.onerror = () => this.renderDeckEditor(['Could not read the deck file']);
+        reader.readAsText(file);
+    }
+
+    // Export the deck being edited as a JSON file
+    exportDeck() {
+        const name = this.editingDeckName;
+        const json = JSON.stringify({ name, cards: this.getDeckCards(name) }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.replace(/[^a-z0-9_-]+/gi, '_')}.deck.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log(`Exported deck ${name}`);
+    }
+
+    // Show stack presets modal
+    showPresets() {
+        if (!this.presetManager.getNames().includes(this.selectedPresetName)) {
+            this.selectedPresetName = Object.keys(PresetManager.BUILT_IN)[0];
+        }
+        this.renderPresets();
+        this.showModal('preset-modal');
+    }
+
+    // Close stack presets modal
+    closePresets() {
+        this.hideModal('preset-modal');
+    }
+
+    // Render the preset list and the cards the selected preset would load
+    renderPresets(errors = []) {
+        const presetSelect = document.getElementById('preset-select');
+        const presetCardsEl = document.getElementById('preset-cards');
+        const errorsEl = document.getElementById('preset-errors');
+        if (!presetSelect || !presetCardsEl) {
+            console.error('Preset elements not found');
+            return;
+        }
+
+        presetSelect.innerHTML = '';
+        this.presetManager.getNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name}${PresetManager.isBuiltIn(name) ? ' (BUILT-IN)' : ''}`;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = this.selectedPresetName;
+
+        const name = this.selectedPresetName;
+        const isBuiltIn = PresetManager.isBuiltIn(name);
+        const maxStackSize = this.gameData.gameConfig.stackOperations.maxStackSize;
+        const activeDeck = this.deckManager.getActiveName();
+        const { cards, missing, truncated, otherDeck } = this.presetManager.resolve(name, this.getActiveCards(), maxStackSize, activeDeck);
+
+        presetCardsEl.innerHTML = '';
+        if (cards.length === 0) {
+            presetCardsEl.innerHTML = '<div class="stack-placeholder">No cards of the active deck match this preset.</div>';
+        }
+        cards.forEach(card => {
+            const cardEl = document.createElement('div');
+            cardEl.className = 'available-card';
+            cardEl.style.backgroundColor = card.color;
+            cardEl.innerHTML = `
+                <div class="available-card-icon" aria-hidden="true">${this.getCardIconHTML(card)}</div>
+                <div class="available-card-name">${this.escapeHTML(card.name)}</div>
+            `;
+            presetCardsEl.appendChild(cardEl);
+        });
+
+        const loadBtn = document.getElementById('load-preset-btn');
+        const saveBtn = document.getElementById('save-preset-btn');
+        const renameBtn = document.getElementById('rename-preset-btn');
+        const deleteBtn = document.getElementById('delete-preset-btn');
+        if (loadBtn) loadBtn.disabled = this.engine.gameStarted || cards.length === 0;
+        if (saveBtn) saveBtn.disabled = this.engine.isEmpty();
+        if (renameBtn) renameBtn.disabled = isBuiltIn;
+        if (deleteBtn) deleteBtn.disabled = isBuiltIn;
+
+        if (errorsEl) {
+            const notes = [];
+            if (isBuiltIn) notes.push(`${PresetManager.BUILT_IN[name].description}. Built-in presets are read-only.`);
+            if (otherDeck) notes.push(`Saved on the "${otherDeck}" deck. Use that deck to load this preset.`);
+            if (missing > 0) notes.push(`${missing} card${missing === 1 ? ' is' : 's are'} not in the active deck and will be skipped.`);
+            if (truncated > 0) notes.push(`Only the first ${maxStackSize} cards fit in the stack.`);
+            errorsEl.innerHTML = [...notes, ...errors].map(message => `<div>${this.escapeHTML(message)}</div>`).join('');
+            errorsEl.classList.toggle('has-errors', errors.length > 0);
+        }
+    }
+
+    // Switch the preset shown in the modal
+    selectPreset(name) {
+        this.selectedPresetName = name;
+        this.renderPresets();
+    }
+
+    // Replace the stack with the selected preset's cards (UNDO brings the old stack back)
+    loadPreset() {
+        if (this.engine.gameStarted) {
+            this.renderPresets(['Cannot change the stack during a game!']);
+            return;
+        }
+
+        const name = this.selectedPresetName;
+        const maxStackSize = this.gameData.gameConfig.stackOperations.maxStackSize;
+        const activeDeck = this.deckManager.getActiveName();
+        const { cards, missing, truncated, otherDeck } = this.presetManager.resolve(name, this.getActiveCards(), maxStackSize, activeDeck);
+        if (otherDeck) {
+            this.renderPresets([`"${name}" was saved on the "${otherDeck}" deck, not "${activeDeck}".`]);
+            return;
+        }
+        if (cards.length === 0) {
+            this.renderPresets([`"${name}" has no cards in the active deck.`]);
+            return;
+        }
+
+        const before = [...this.engine.cardStack];
+        this.engine.setCards([]);
+        cards.forEach(card => this.engine.addCard(card, null, false));
+        this.pendingGameSeed = null;
+        this.stackHistory.record('PRESET', name, before, this.engine.cardStack);
+        this.soundManager.play('push');
+
+        const skipped = missing + truncated;
+        this.closePresets();
+        this.showMessage(`📚 Loaded preset "${name}": ${cards.length} card pairs${skipped > 0 ? ` (${skipped} skipped)` : ''}. (UNDO restores your old stack)`);
+    }
+
+    // Save the current stack as a preset
+    saveStackPreset() {
+        if (this.engine.isEmpty()) {
+            this.renderPresets(['The stack is empty - add some cards first.']);
+            return;
+        }
+
+        const name = prompt('Name for the preset:');
+        if (!name) return;
+
+        if (this.presetManager.getPreset(name.trim()) && !confirm(`Replace existing preset "${name.trim()}"?`)) {
+            return;
+        }
+
+        try {
+            this.selectedPresetName = this.presetManager.savePreset(name, this.engine.cardStack, this.deckManager.getActiveName());
+            this.renderPresets();
+            this.showMessage(`📚 Saved ${this.engine.cardStack.length} cards as preset "${this.selectedPresetName}"!`);
+        } catch (error) {
+            this.renderPresets(error.message.split('\n'));
+        }
+    }
+
+    // Rename the selected preset
+    renamePreset() {
+        const oldName = this.selectedPresetName;
+        if (PresetManager.isBuiltIn(oldName)) return;
+
+        const newName = prompt(`New name for "${oldName}":`, oldName);
+        if (!newName) return;
+
+        try {
+            this.selectedPresetName = this.presetManager.renamePreset(oldName, newName);
+            this.renderPresets();
+        } catch (error) {
+            this.renderPresets([error.message]);
+        }
+    }
+
+    // Delete the selected preset
+    deletePreset() {
+        const name = this.selectedPresetName;
+        if (PresetManager.isBuiltIn(name)) return;
+
+        if (!confirm(`Delete preset "${name}"?`)) return;
+
+        this.presetManager.deletePreset(name);
+        this.selectedPresetName = Object.keys(PresetManager.BUILT_IN)[0];
+        this.renderPresets();
+    }
+
+    // Import presets from a JSON file
+    importPresets(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            fileInput.value = '';
+            try {
+                const fallbackName = file.name.replace(/(\.presets?)?\.json$/i, '');
+                const presets = PresetManager.parsePresetFile(reader.result, fallbackName);
+                const existing = presets.filter(preset => this.presetManager.getPreset(preset.name));
+                if (existing.length > 0 && !confirm(`Replace existing preset${existing.length === 1 ? '' : 's'} ${existing.map(preset => `"${preset.name}"`).join(', ')}?`)) {
+                    return;
+                }
+
+                const names = this.presetManager.importPresets(presets);
+                this.selectedPresetName = names[0];
+                this.renderPresets();
+                this.showMessage(`📥 Imported ${names.length} preset${names.length === 1 ? '' : 's'}!`);
+            } catch (error) {
+                this.renderPresets(error.message.split('\n'));
+            }
+        };
+        reader.onerror = () => this.renderPresets(['Could not read the preset file']);
+        reader.readAsText(file);
+    }
+
+    // Export every saved preset as a JSON file
+    exportPresets() {
+        const data = this.presetManager.exportPresets();
+        if (data.presets.length === 0) {
+            this.renderPresets(['No saved presets to export - built-in presets are always available.']);
+            return;
+        }
+
+        const json = JSON.stringify(data, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'stack-memory.presets.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log(`Exported ${data.presets.length} presets`);
+    }
+
+    // Show leaderboard modal
+    showLeaderboard() {
+        const playerFilter = document.getElementById('leaderboard-player-filter');
+        const sizeFilter = document.getElementById('leaderboard-size-filter');
+
+        if (playerFilter) {
+            const players = this.leaderboard.getPlayers();
+            if (!players.includes(this.playerName)) players.push(this.playerName);
+            playerFilter.innerHTML = '<option value="">ALL PLAYERS</option>' +
+                players.map(player => `<option value="${this.escapeHTML(player)}">${this.escapeHTML(player)}</option>`).join('');
+            playerFilter.value = this.playerName;
+        }
+
+        if (sizeFilter) {
+            sizeFilter.innerHTML = '<option value="">ALL SIZES</option>' +
+                this.leaderboard.getBoardSizes().map(pairs => `<option value="${pairs}">${pairs} PAIRS</option>`).join('');
+        }
+
+        const modeFilter = document.getElementById('leaderboard-mode-filter');
+        if (modeFilter) {
+            const labels = this.getModeLabels();
+            modeFilter.innerHTML = GameEngine.MODES
+                .map(mode => `<option value="${mode}">${labels[mode]}</option>`).join('');
+            modeFilter.value = this.engine.gameMode;
+        }
+
+        // Triplets, quads and other rules score differently, so one variant is ranked at a time
+        const variantFilter = document.getElementById('leaderboard-variant-filter');
+        if (variantFilter) {
+            const currentKey = GameEngine.getVariantKey(this.engine.variant);
+            const variantKeys = this.leaderboard.getVariants();
+            if (!variantKeys.includes(currentKey)) variantKeys.push(currentKey);
+            variantFilter.innerHTML = variantKeys
+                .map(key => `<option value="${key}">${this.getVariantLabel(GameEngine.parseVariantKey(key))}</option>`).join('');
+            variantFilter.value = currentKey;
+        }
+
+        this.renderLeaderboard();
+
+        this.showModal('leaderboard-modal');
+    }
+
+    // Render leaderboard table for the selected filters
+    renderLeaderboard() {
+        const tableEl = document.getElementById('leaderboard-table');
+        if (!tableEl) {
+            console.error('Leaderboard table element not found');
+            return;
+        }
+
+        const playerFilter = document.getElementById('leaderboard-player-filter');
+        const sizeFilter = document.getElementById('leaderboard-size-filter');
+        const modeFilter = document.getElementById('leaderboard-mode-filter');
+        const variantFilter = document.getElementById('leaderboard-variant-filter');
+        const filters = {
+            player: playerFilter ? playerFilter.value : '',
+            pairs: sizeFilter ? sizeFilter.value : '',
+            mode: modeFilter ? modeFilter.value : '',
+            variant: variantFilter ? variantFilter.value : ''
+        };
+
+        const entries = this.leaderboard.getTop(10, filters);
+
+        if (entries.length === 0) {
+            tableEl.innerHTML = '<div class="stack-placeholder">No games recorded yet!</div>';
+            return;
+        }
+
+        tableEl.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>#</th><th>PLAYER</th><th>SCORE</th><th>MOVES</th><th>TIME</th><th>PAIRS</th><th>HINTS</th><th>DATE</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map((entry, index) => `
+                        <tr class="${entry.player === this.playerName ? 'current-player' : ''}">
+                            <td>${index + 1}</td>
+                            <td>${this.escapeHTML(entry.player)}</td>
+                            <td>${entry.score}</td>
+                            <td>${entry.moves}</td>
+                            <td>${this.formatTime(entry.time)}</td>
+                            <td>${entry.pairs}</td>
+                            <td>${entry.hints || 0}</td>
+                            <td>${new Date(entry.date).toLocaleDateString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Close leaderboard modal
+    closeLeaderboard() {
+        this.hideModal('leaderboard-modal');
+    }
+
+    // Add the finished solo game to the player's lifetime stats
+    recordProfileGame(won) {
+        this.profiles.recordGame(this.playerName, {
+            mode: this.engine.gameMode,
+            variant: this.engine.variant,
+            won,
+            score: this.engine.score,
+            moves: this.engine.moves,
+            time: this.engine.timer,
+            pairs: this.engine.cardStack.length,
+            cards: this.engine.cardStack.map(card => ({ id: card.id, name: card.name, icon: card.icon }))
+        });
+    }
+
+    // Show the current player's lifetime stats and charts
+    showStatsDashboard() {
+        const dashboardEl = document.getElementById('stats-dashboard');
+        if (!dashboardEl) {
+            console.error('Stats dashboard element not found');
+            return;
+        }
+
+        const profile = this.profiles.getProfile(this.playerName);
+        if (!profile) {
+            dashboardEl.innerHTML = '<div class="stack-placeholder">Log in to a profile to track stats.</div>';
+            this.showModal('stats-modal');
+            return;
+        }
+
+        const summary = ProfileManager.summarize(profile.stats);
+        const modeLabels = this.getModeLabels();
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        const winRateItems = Object.keys(modeLabels).map(mode => ({
+            label: modeLabels[mode],
+            value: summary.winRates[mode] || 0
+        }));
+        // Plain-pair keys are just the pair count; other variants add their key after a colon
+        const bestTimeItems = Object.keys(summary.bestTimes)
+            .sort((a, b) => parseInt(a) - parseInt(b) || a.localeCompare(b))
+            .map(key => {
+                const [pairs, variantKey] = key.split(':');
+                const variant = variantKey ? GameEngine.parseVariantKey(variantKey) : GameEngine.DEFAULT_VARIANT;
+                return { label: `${pairs} ${this.getVariantLabel(variant)}`, value: summary.bestTimes[key] };
+            });
+        const cardItems = summary.favoriteCards.map(card => ({ label: `${card.icon} ${card.name}`, value: card.count }));
+        const operationLabels = { clear: 'CLEAR' };
+        Object.values(CardContainer.MODES).forEach(mode => mode.operations.forEach(operation => {
+            operationLabels[operation.id] = operation.label;
+        }));
+        const operationItems = Object.entries(summary.operations)
+            .sort((a, b) => b[1] - a[1])
+            .map(([id, count]) => ({ label: operationLabels[id] || id, value: count }));
+        const dailyRecord = this.daily.getRecord(this.playerName);
+
+        dashboardEl.innerHTML = `
+            <div class="stats-summary">
+                <div class="stats-tile"><strong>${summary.gamesPlayed}</strong><span>GAMES</span></div>
+                <div class="stats-tile"><strong>${percent(summary.winRate)}</strong><span>WIN RATE</span></div>
+                <div class="stats-tile"><strong>${summary.averageMovesPerPair === null ? '-' : summary.averageMovesPerPair.toFixed(1)}</strong><span>MOVES / PAIR</span></div>
+            </div>
+            <div class="stats-summary">
+                <div class="stats-tile"><strong>${this.daily.getStreak(this.playerName)}</strong><span>DAILY STREAK</span></div>
+                <div class="stats-tile"><strong>${dailyRecord.bestStreak}</strong><span>BEST STREAK</span></div>
+                <div class="stats-tile"><strong>${dailyRecord.best ? dailyRecord.best.score : '-'}</strong><span>BEST DAILY</span></div>
+            </div>
+            <h3>WIN RATE BY MODE</h3>
+            ${SvgChart.bar(winRateItems, { title: 'Win rate by mode', maxValue: 1, formatValue: percent, color: '#4CAF50' })}
+            <h3>RECENT SCORES</h3>
+            ${SvgChart.line(summary.recentScores, { title: 'Scores of recent games, oldest first' })}
+            <h3>BEST TIME BY BOARD SIZE</h3>
+            ${SvgChart.bar(bestTimeItems, { title: 'Best time by board size', formatValue: value => this.formatTime(value), color: '#2196F3' })}
+            <h3>FAVORITE CARDS</h3>
+            ${SvgChart.bar(cardItems, { title: 'Most stacked cards', color: '#E91E63' })}
+            <h3>STACK OPERATIONS USED</h3>
+            ${SvgChart.bar(operationItems, { title: 'Container operations used', color: '#FF9800' })}
+        `;
+
+        this.showModal('stats-modal');
+    }
+
+    // Close stats dashboard
+    closeStatsDashboard() {
+        this.hideModal('stats-modal');
+    }
+
+    // Show a modal, remembering focus so it can be restored on close
+    showModal(modalId, focusTarget = null) {
+        const modal = document.getElementById(modalId);
+        if (!modal) {
+            console.warn(`Modal not found: ${modalId}`);
+            return;
+        }
+
+        if (!this.openModals.some(entry => entry.modalId === modalId)) {
+            this.openModals.push({ modalId, returnFocus: document.activeElement });
+        }
+        modal.style.display = 'flex';
+
+        const target = focusTarget || this.getFocusableElements(modal)[0];
+        if (target) {
+            target.focus();
+        }
+    }
+
+    // Hide a modal and return focus to where it was before opening
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) {
+            console.warn(`Modal not found: ${modalId}`);
+            return;
+        }
+
+        modal.style.display = 'none';
+
+        const entryIndex = this.openModals.findIndex(entry => entry.modalId === modalId);
+        if (entryIndex !== -1) {
+            const [entry] = this.openModals.splice(entryIndex, 1);
+            if (entry.returnFocus && document.contains(entry.returnFocus)) {
+                entry.returnFocus.focus();
+            }
+        }
+    }
+
+    // Get keyboard-focusable elements inside a container
+    getFocusableElements(container) {
+        const selector = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+        return Array.from(container.querySelectorAll(selector))
+            .filter(el => !el.disabled && el.offsetParent !== null);
+    }
+
+    // Close handlers used when Escape is pressed in a modal
+    getModalCloseHandlers() {
+        return {
+            'card-selection-modal': () => this.closeCardSelection(),
+            'stack-peek-modal': () => this.closePeekModal(),
+            'game-over-modal': () => this.closeModal(),
+            'login-modal': () => this.hideModal('login-modal'),
+            'resume-modal': () => this.hideModal('resume-modal'),
+            'multiplayer-modal': () => this.closeMultiplayerSetup(),
+            'game-lost-modal': () => this.closeGameLostModal(),
+            'deck-modal': () => this.closeDeckEditor(),
+            'preset-modal': () => this.closePresets(),
+            'history-modal': () => this.closeHistoryLog(),
+            'settings-modal': () => this.closeSettings(),
+            'achievements-modal': () => this.closeAchievementsGallery(),
+            'leaderboard-modal': () => this.closeLeaderboard(),
+            'stats-modal': () => this.closeStatsDashboard()
+        };
+    }
+
+    // Trap Tab focus inside the topmost modal and close it on Escape
+    handleModalKeydown(event) {
+        const topModal = this.openModals[this.openModals.length - 1];
+        if (!topModal) return;
+
+        const modal = document.getElementById(topModal.modalId);
+        if (!modal) return;
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            const closeHandler = this.getModalCloseHandlers()[topModal.modalId];
+            if (closeHandler) {
+                closeHandler();
+            } else {
+                this.hideModal(topModal.modalId);
+            }
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements(modal);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        }
     }
 
     // Show game message with animation
@@ -0,0 +1,135 @@
+// Sound effects and music for Stack Memory Game
+// Everything is generated with the Web Audio API, so no audio files are needed
+
+class SoundManager {
+    constructor() {
+        this.context = null; // Created on first use, after a user gesture
+        this.masterGain = null;
+        this.volume = 0.5;
+        this.muted = false;
+        this.musicEnabled = false;
+        this.musicInterval = null;
+        this.musicStep = 0;
+    }
+
+    // Tone sequences for each game event: [frequency Hz, duration s, waveform]
+    static get EFFECTS() {
+        return {
+            flip: [[660, 0.05, 'square']],
+            match: [[523, 0.08, 'square'], [659, 0.08, 'square'], [784, 0.12, 'square']],
+            mismatch: [[220, 0.12, 'sawtooth'], [165, 0.18, 'sawtooth']],
+            push: [[392, 0.06, 'triangle'], [523, 0.08, 'triangle']],
+            pop: [[523, 0.06, 'triangle'], [392, 0.08, 'triangle']],
+            clear: [[784, 0.05, 'square'], [523, 0.05, 'square'], [330, 0.05, 'square'], [196, 0.12, 'square']],
+            peek: [[880, 0.05, 'sine'], [988, 0.08, 'sine']],
+            reorder: [[523, 0.04, 'triangle'], [659, 0.04, 'triangle'], [523, 0.04, 'triangle'], [659, 0.06, 'triangle']],
+            victory: [[523, 0.1, 'square'], [659, 0.1, 'square'], [784, 0.1, 'square'], [1047, 0.3, 'square']],
+            defeat: [[392, 0.15, 'sawtooth'], [330, 0.15, 'sawtooth'], [262, 0.3, 'sawtooth']],
+            achievement: [[784, 0.08, 'square'], [988, 0.08, 'square'], [1175, 0.2, 'square']]
+        };
+    }
+
+    // Background loop notes (Hz), one per beat
+    static get MUSIC() {
+        return [262, 330, 392, 330, 294, 349, 440, 349, 262, 330, 392, 523, 494, 392, 330, 294];
+    }
+
+    // Create the audio context lazily; returns false if Web Audio is unavailable
+    ensureContext() {
+        if (this.context) {
+            if (this.context.state === 'suspended') {
+                this.context.resume();
+            }
+            return true;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio is not supported; sounds disabled');
+            return false;
+        }
+
+        this.context = new AudioContextClass();
+        this.masterGain = this.context.createGain();
+        this.masterGain.gain.value = this.muted ? 0 : this.volume;
+        this.masterGain.connect(this.context.destination);
+        return true;
+    }
+
+    // Set master volume (0-1)
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.muted ? 0 : this.volume;
+        }
+    }
+
+    // Mute or unmute everything
+    setMuted(muted) {
+        this.muted = muted;
+        if (this.masterGain) {
+            this.masterGain.gain.value = muted ? 0 : this.volume;
+        }
+    }
+
+    // Schedule one tone starting at the given context time
+    playTone(frequency, duration, type, startTime, level = 0.3) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+
+        // Short fade out avoids clicks at the end of each note
+        gain.gain.setValueAtTime(level, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+
+        oscillator.connect(gain);
+        gain.connect(this.masterGain);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+    }
+
+    // Play a named effect
+    play(name) {
+        const effect = SoundManager.EFFECTS[name];
+        if (!effect || this.muted || !this.ensureContext()) return;
+
+        let time = this.context.currentTime;
+        effect.forEach(([frequency, duration, type]) => {
+            this.playTone(frequency, duration, type, time);
+            time += duration;
+        });
+    }
+
+    // Start the background loop (if music is enabled)
+    startMusic() {
+        if (!this.musicEnabled || this.musicInterval || !this.ensureContext()) return;
+
+        const notes = SoundManager.MUSIC;
+        this.musicInterval = setInterval(() => {
+            if (this.muted) return;
+            const note = notes[this.musicStep % notes.length];
+            this.playTone(note, 0.25, 'triangle', this.context.currentTime, 0.08);
+            this.musicStep++;
+        }, 300);
+    }
+
+    // Stop the background loop
+    stopMusic() {
+        if (this.musicInterval) {
+            clearInterval(this.musicInterval);
+            this.musicInterval = null;
+        }
+    }
+
+    // Turn the background loop on or off
+    setMusicEnabled(enabled, playing = false) {
+        this.musicEnabled = enabled;
+        if (!enabled) {
+            this.stopMusic();
+        } else if (playing) {
+            this.startMusic();
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// Unit tests for achievement rewards
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Achievements are kept in localStorage in the browser
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+const AchievementEngine = require('../achievements.js');
+
+const definitions = [
+    { id: 'firstPush', trigger: 'stackOperation', reward: 50, conditions: [{ stat: 'operations.push', op: '>=', value: 1 }] }
+];
+
+test('rewards earned outside a game are banked per player and survive a reload', () => {
+    Object.keys(store).forEach(key => delete store[key]);
+    const achievements = new AchievementEngine(definitions);
+
+    const unlocked = achievements.evaluate('stackOperation', { operations: { push: true } }, 'Ada');
+    assert.deepEqual(unlocked.map(achievement => achievement.id), ['firstPush']);
+    achievements.bankReward('Ada', unlocked[0].reward);
+
+    const reloaded = new AchievementEngine(definitions);
+    assert.equal(reloaded.takeBankedRewards('Linus'), 0);
+    assert.equal(reloaded.takeBankedRewards('Ada'), 50);
+    assert.equal(reloaded.takeBankedRewards('Ada'), 0);
+});
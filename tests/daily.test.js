@@ -0,0 +1,98 @@
+// Unit tests for the daily challenge
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser loads these as globals through script tags
+const { SeededRandom, GameCode } = require('../random.js');
+global.SeededRandom = SeededRandom;
+global.GameCode = GameCode;
+global.CardContainer = require('../containers.js');
+global.ScoringSystem = require('../scoring.js');
+global.GameEngine = require('../engine.js');
+
+// Daily results are kept in localStorage in the browser
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+const DailyChallenge = require('../daily.js');
+
+const deck = Array.from({ length: 16 }, (_, i) => ({ id: `card${i}`, name: `Card ${i}`, icon: '🃏', color: '#FFFFFF' }));
+
+function createDaily() {
+    Object.keys(store).forEach(key => delete store[key]);
+    return new DailyChallenge();
+}
+
+function win(score) {
+    return { completed: true, score, moves: 10, time: 30 };
+}
+
+test('date keys use the local calendar day', () => {
+    assert.equal(DailyChallenge.getDateKey(new Date(2024, 0, 5, 23, 59)), '2024-01-05');
+    assert.equal(DailyChallenge.getPreviousDateKey('2024-03-01'), '2024-02-29');
+    assert.equal(DailyChallenge.getPreviousDateKey('2024-01-01'), '2023-12-31');
+});
+
+test('the same date always builds the same challenge', () => {
+    const first = DailyChallenge.build('2024-05-01', deck, { minPairs: 2, maxPairs: 24 });
+    const second = DailyChallenge.build('2024-05-01', deck, { minPairs: 2, maxPairs: 24 });
+    const other = DailyChallenge.build('2024-05-02', deck, { minPairs: 2, maxPairs: 24 });
+
+    assert.deepEqual(first, second);
+    assert.notEqual(first.seed, other.seed);
+    assert.ok(GameEngine.MODES.includes(first.mode));
+    assert.ok(first.cards.length >= 6 && first.cards.length <= 10);
+    assert.equal(new Set(first.cards.map(card => card.id)).size, first.cards.length);
+});
+
+test('the challenge deals the same board from its seed', () => {
+    const challenge = DailyChallenge.build('2024-05-01', deck);
+    const deal = () => {
+        const engine = new GameEngine({ minCards: 2, stackOperations: { maxStackSize: 24 } });
+        engine.setCards(challenge.cards);
+        engine.start(challenge.seed);
+        return engine.gameCards.map(card => card.id);
+    };
+
+    assert.deepEqual(deal(), deal());
+});
+
+test('a started attempt counts even if it is never finished', () => {
+    const daily = createDaily();
+    daily.startAttempt('Ada', '2024-05-01', 'classic');
+
+    assert.deepEqual(daily.getResult('Ada', '2024-05-01'), { mode: 'classic', completed: false, score: 0, moves: 0, time: 0 });
+    assert.equal(daily.getResult('Linus', '2024-05-01'), null);
+    assert.equal(daily.getStreak('Ada', '2024-05-01'), 0);
+});
+
+test('streaks grow on consecutive days and break after a missed day', () => {
+    const daily = createDaily();
+    daily.finishAttempt('Ada', '2024-05-01', win(300));
+    daily.finishAttempt('Ada', '2024-05-02', win(500));
+    daily.finishAttempt('Ada', '2024-05-03', win(400));
+
+    assert.equal(daily.getStreak('Ada', '2024-05-03'), 3);
+    assert.equal(daily.getStreak('Ada', '2024-05-04'), 3);
+    assert.equal(daily.getStreak('Ada', '2024-05-05'), 0);
+
+    daily.finishAttempt('Ada', '2024-05-04', { completed: false, score: 0, moves: 5, time: 60 });
+    daily.finishAttempt('Ada', '2024-05-06', win(200));
+    const record = daily.getRecord('Ada');
+    assert.equal(record.streak, 1);
+    assert.equal(record.bestStreak, 3);
+    assert.deepEqual(record.best, { dateKey: '2024-05-02', score: 500, moves: 10, time: 30 });
+});
+
+test('old daily results are trimmed', () => {
+    Object.keys(store).forEach(key => delete store[key]);
+    const daily = new DailyChallenge('stackMemoryDaily', 2);
+    ['2024-05-01', '2024-05-02', '2024-05-03'].forEach(dateKey => daily.startAttempt('Ada', dateKey, 'classic'));
+
+    assert.deepEqual(Object.keys(daily.getRecord('Ada').results), ['2024-05-02', '2024-05-03']);
+});
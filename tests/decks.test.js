@@ -0,0 +1,29 @@
+// Unit tests for custom deck validation
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DeckManager = require('../decks.js');
+
+function card(changes = {}) {
+    return { id: 1, name: 'Star', icon: '⭐', color: '#FFC107', points: 10, rarity: 'common', ...changes };
+}
+
+test('a well-formed card has no problems', () => {
+    assert.deepEqual(DeckManager.validateCard(card()), []);
+    assert.deepEqual(DeckManager.validateCard(card({ image: 'data:image/png;base64,iVBORw0KGgo=' })), []);
+});
+
+test('card images must be strict base64 image data URLs', () => {
+    ['data:image/png" onerror="alert(2)', 'data:image/png;base64,abc"def', 'https://example.com/a.png', 'data:text/html;base64,PHA+']
+        .forEach(image => {
+            assert.match(DeckManager.validateCard(card({ image })).join('\n'), /base64 image data URL/, image);
+        });
+});
+
+test('imported decks report every invalid card', () => {
+    const text = JSON.stringify({ name: 'Mixed', cards: [card(), card({ id: 1, color: 'red' })] });
+
+    assert.throws(() => DeckManager.parseDeckFile(text, 'file'), /color must be a hex color[\s\S]*reuses id 1/);
+});
@@ -0,0 +1,567 @@
+// Unit tests for the headless game engine
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// The browser loads these as globals through script tags
+const { SeededRandom, GameCode } = require('../random.js');
+global.SeededRandom = SeededRandom;
+global.GameCode = GameCode;
+global.CardContainer = require('../containers.js');
+global.ScoringSystem = require('../scoring.js');
+const GameEngine = require('../engine.js');
+
+const gameData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8'));
+
+// Fresh engine with the data.json config and the given number of cards pushed
+function createEngine(cardCount = 3, configChanges = {}) {
+    const config = { ...JSON.parse(JSON.stringify(gameData.gameConfig)), ...configChanges };
+    const engine = new GameEngine(config);
+    gameData.cardData.slice(0, cardCount).forEach(card => engine.addCard(card));
+    return engine;
+}
+
+// Board indexes of both cards of a pair
+function pairIndexes(engine, pairId) {
+    return engine.gameCards
+        .map((card, index) => (card.pairId === pairId ? index : -1))
+        .filter(index => index !== -1);
+}
+
+// Two face-down cards from different pairs
+function mismatchIndexes(engine) {
+    const first = engine.gameCards.findIndex(card => !card.matched);
+    const second = engine.gameCards.findIndex(card => !card.matched && card.pairId !== engine.gameCards[first].pairId);
+    return [first, second];
+}
+
+// Record every event the engine emits
+function recordEvents(engine, names) {
+    const events = [];
+    names.forEach(name => engine.on(name, payload => events.push({ name, payload })));
+    return events;
+}
+
+test('stack operations follow LIFO order', () => {
+    const engine = createEngine(0);
+    engine.addCard(gameData.cardData[0]);
+    engine.addCard(gameData.cardData[1]);
+
+    assert.equal(engine.peekCard().id, gameData.cardData[1].id);
+    assert.equal(engine.removeCard().id, gameData.cardData[1].id);
+    assert.equal(engine.cardStack.length, 1);
+    assert.equal(engine.operationsUsed.push, true);
+    assert.equal(engine.operationsUsed.pop, true);
+    assert.equal(engine.operationsUsed.peek, true);
+});
+
+test('queue mode dequeues from the front', () => {
+    const engine = createEngine(3);
+    engine.setContainerMode('queue');
+
+    assert.equal(engine.removeCard().id, gameData.cardData[0].id);
+    assert.equal(engine.peekCard().id, gameData.cardData[1].id);
+    assert.equal(engine.operationsUsed.dequeue, true);
+});
+
+test('stack refuses cards beyond maxStackSize', () => {
+    const engine = createEngine(0, { stackOperations: { ...gameData.gameConfig.stackOperations, maxStackSize: 2 } });
+
+    assert.ok(engine.addCard(gameData.cardData[0]));
+    assert.ok(engine.addCard(gameData.cardData[1]));
+    assert.equal(engine.isFull(), true);
+    assert.equal(engine.addCard(gameData.cardData[2]), null);
+    assert.equal(engine.cardStack.length, 2);
+});
+
+test('removing from an empty stack returns null', () => {
+    const engine = createEngine(0);
+
+    assert.equal(engine.removeCard(), null);
+    assert.equal(engine.peekCard(), null);
+    assert.equal(engine.clearCards(), 0);
+});
+
+test('the stack cannot change while a game is active', () => {
+    const engine = createEngine(3);
+    engine.start(42);
+
+    assert.equal(engine.addCard(gameData.cardData[5]), null);
+    assert.equal(engine.removeCard(), null);
+    assert.equal(engine.clearCards(), 0);
+    assert.deepEqual(engine.addCards(gameData.cardData.slice(5, 7)), []);
+    assert.deepEqual(engine.removeCards(2), []);
+    assert.equal(engine.reorderCards('reverse'), false);
+    assert.equal(engine.cardStack.length, 3);
+});
+
+test('the stack cannot change while a game is paused', () => {
+    const engine = createEngine(3);
+    engine.start(42);
+    engine.pause();
+    const stackIds = engine.cardStack.map(card => card.stackId);
+
+    assert.equal(engine.addCard(gameData.cardData[5]), null);
+    assert.equal(engine.removeCard(), null);
+    assert.equal(engine.clearCards(), 0);
+    assert.deepEqual(engine.addCards(gameData.cardData.slice(5, 7)), []);
+    assert.deepEqual(engine.removeCards(2), []);
+    assert.equal(engine.reorderCards('reverse'), false);
+    assert.equal(engine.setCards([]), false);
+    assert.deepEqual(engine.cardStack.map(card => card.stackId), stackIds);
+
+    // Every pair the board was dealt from is still in the stack, so the game can finish
+    engine.resume();
+    engine.cardStack.forEach(card => {
+        const [first, second] = pairIndexes(engine, card.id);
+        engine.flip(first);
+        engine.flip(second);
+        engine.resolvePair();
+    });
+    assert.equal(engine.gameStarted, false);
+});
+
+test('cards loaded without counting the operation leave the operations bonus alone', () => {
+    const engine = createEngine(0);
+    gameData.cardData.slice(0, 3).forEach(card => engine.addCard(card, null, false));
+
+    assert.equal(engine.cardStack.length, 3);
+    assert.equal(Object.values(engine.operationsUsed).some(used => used), false);
+});
+
+test('bulk operations add in order, stop at maxStackSize and remove several cards', () => {
+    const engine = createEngine(0, { stackOperations: { ...gameData.gameConfig.stackOperations, maxStackSize: 4 } });
+    const events = recordEvents(engine, ['containerChanged']);
+
+    const added = engine.addCards(gameData.cardData.slice(0, 6));
+    assert.deepEqual(added.map(card => card.id), gameData.cardData.slice(0, 4).map(card => card.id));
+    assert.equal(events.length, 1);
+
+    const removed = engine.removeCards(3);
+    assert.deepEqual(removed.map(card => card.id), [4, 3, 2].map(index => gameData.cardData[index - 1].id));
+    assert.equal(engine.removeCards(5).length, 1);
+    assert.equal(engine.isEmpty(), true);
+});
+
+test('reordering reverses, sorts by points and shuffles reproducibly', () => {
+    const engine = createEngine(6);
+    const ids = engine.cardStack.map(card => card.id);
+
+    engine.reorderCards('reverse');
+    assert.deepEqual(engine.cardStack.map(card => card.id), [...ids].reverse());
+
+    engine.reorderCards('sortByPoints');
+    const points = engine.cardStack.map(card => card.points);
+    assert.deepEqual(points, [...points].sort((a, b) => a - b));
+
+    const shuffled = () => {
+        const shuffleEngine = createEngine(6);
+        shuffleEngine.setSeed(7);
+        shuffleEngine.reorderCards('shuffle');
+        return shuffleEngine.cardStack.map(card => card.id);
+    };
+    assert.deepEqual(shuffled(), shuffled());
+    assert.deepEqual([...shuffled()].sort((a, b) => a - b), [...ids].sort((a, b) => a - b));
+    assert.equal(engine.reorderCards('rotate'), false);
+});
+
+test('start needs at least minCards pairs', () => {
+    const engine = createEngine(1);
+
+    assert.equal(engine.start(42), false);
+    assert.equal(engine.gameStarted, false);
+});
+
+test('start deals two cards per stack card, reproducibly for a seed', () => {
+    const first = createEngine(4);
+    const second = createEngine(4);
+    first.start(1234);
+    second.start(1234);
+
+    assert.equal(first.gameCards.length, 8);
+    assert.deepEqual(first.gameCards.map(card => card.id), second.gameCards.map(card => card.id));
+    assert.deepEqual(GameCode.decode(first.gameCode), {
+        seed: 1234,
+        cardIds: first.cardStack.map(card => card.id),
+        variant: GameEngine.DEFAULT_VARIANT
+    });
+});
+
+test('game codes carry the variant, so a shared triplet game deals the same board', () => {
+    const engine = createEngine(4);
+    const variant = { matchSize: 3, matchRule: 'color', shiftEvery: 5 };
+    engine.setVariant(variant);
+    engine.start(99);
+
+    const decoded = GameCode.decode(engine.gameCode);
+    assert.deepEqual(decoded.variant, variant);
+
+    const copy = createEngine(4);
+    copy.setVariant(decoded.variant);
+    copy.start(decoded.seed);
+    assert.deepEqual(copy.gameCards.map(card => card.id), engine.gameCards.map(card => card.id));
+
+    // Codes shared before variants existed still load, as plain pairs
+    assert.deepEqual(GameCode.decode('SMQ-2Q-1.2.3'), { seed: 98, cardIds: [1, 2, 3], variant: null });
+    assert.throws(() => GameCode.decode('SMQ-2Q-1.2.3-3X0'), /invalid variant/);
+});
+
+test('flipping a matching pair scores it and keeps both cards face up', () => {
+    const engine = createEngine(3);
+    const events = recordEvents(engine, ['pairFlipped', 'match']);
+    engine.start(7);
+
+    const [first, second] = pairIndexes(engine, engine.cardStack[0].id);
+    assert.equal(engine.flip(first), true);
+    assert.equal(engine.flip(second), true);
+    assert.equal(engine.moves, 1);
+    assert.equal(engine.resolvePair(), 'match');
+
+    assert.equal(engine.matchedPairs, 1);
+    assert.equal(engine.gameCards[first].matched, true);
+    assert.equal(engine.gameCards[second].matched, true);
+    assert.deepEqual(events.map(event => event.name), ['pairFlipped', 'match']);
+    assert.equal(engine.score, events[1].payload.breakdown.total);
+});
+
+test('a mismatch turns the cards back over and breaks the combo', () => {
+    const engine = createEngine(3);
+    const events = recordEvents(engine, ['mismatch', 'cardsHidden']);
+    engine.start(7);
+
+    const [first, second] = mismatchIndexes(engine);
+    engine.flip(first);
+    engine.flip(second);
+    assert.equal(engine.resolvePair(), 'mismatch');
+    assert.equal(engine.gameCards[first].flipped, true); // Still visible until hideMismatch
+
+    engine.hideMismatch();
+    assert.equal(engine.gameCards[first].flipped, false);
+    assert.equal(engine.gameCards[second].flipped, false);
+    assert.equal(engine.matchStreak, 0);
+    assert.equal(engine.score, 0);
+    assert.deepEqual(events.map(event => event.name), ['mismatch', 'cardsHidden']);
+});
+
+test('only two cards can be face up, and matched cards cannot be flipped', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+
+    const [first, second] = mismatchIndexes(engine);
+    const third = engine.gameCards.findIndex((card, index) => index !== first && index !== second);
+    engine.flip(first);
+    assert.equal(engine.flip(first), false);
+    engine.flip(second);
+    assert.equal(engine.flip(third), false);
+
+    engine.resolvePair();
+    engine.hideMismatch();
+    const [matchA, matchB] = pairIndexes(engine, engine.cardStack[0].id);
+    engine.flip(matchA);
+    engine.flip(matchB);
+    engine.resolvePair();
+    assert.equal(engine.flip(matchA), false);
+});
+
+test('paused games ignore flips and ticks until resumed', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+
+    assert.equal(engine.pause(), true);
+    assert.equal(engine.gameActive, false);
+    assert.equal(engine.gameStarted, true);
+    assert.equal(engine.flip(0), false);
+    engine.tick();
+    assert.equal(engine.timer, 0);
+
+    assert.equal(engine.resume(), true);
+    engine.tick();
+    assert.equal(engine.timer, 1);
+    assert.equal(engine.flip(0), true);
+});
+
+test('re-flipping seen cards costs points at the next match', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+
+    const [first, second] = mismatchIndexes(engine);
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    engine.hideMismatch();
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    engine.hideMismatch();
+
+    // First miss: nothing seen yet; second miss: both cards seen before
+    const seenPenalty = engine.scoring.getSeenPenalty(2);
+    assert.equal(engine.pendingPenalty, seenPenalty);
+
+    const card = engine.gameCards[first];
+    const [matchA, matchB] = pairIndexes(engine, card.pairId);
+    engine.flip(matchA);
+    engine.flip(matchB);
+    engine.resolvePair();
+    assert.equal(engine.matchBreakdown[0].penalty, seenPenalty);
+    assert.equal(engine.pendingPenalty, 0);
+});
+
+test('match score uses rarity, speed and combo streak', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+
+    const scoring = engine.scoring;
+    const cards = engine.cardStack;
+    cards.slice(0, 2).forEach(card => {
+        const [first, second] = pairIndexes(engine, card.id);
+        engine.flip(first);
+        engine.flip(second);
+        engine.resolvePair();
+    });
+
+    const [firstMatch, secondMatch] = engine.matchBreakdown;
+    assert.equal(firstMatch.base, Math.round(cards[0].points * scoring.getRarityMultiplier(cards[0].rarity)));
+    assert.equal(firstMatch.speed, scoring.speedWindow * scoring.timeBonus);
+    assert.equal(firstMatch.combo, 0);
+    assert.equal(secondMatch.combo, scoring.comboBonus);
+    assert.equal(engine.score, firstMatch.total + secondMatch.total);
+});
+
+test('finding every pair completes the game with stack and operation bonuses', () => {
+    const engine = createEngine(2);
+    const events = recordEvents(engine, ['gameComplete']);
+    engine.start(7);
+
+    let matchPoints = 0;
+    engine.cardStack.forEach(card => {
+        const [first, second] = pairIndexes(engine, card.id);
+        engine.flip(first);
+        engine.flip(second);
+        engine.resolvePair();
+        matchPoints = engine.matchBreakdown.reduce((sum, breakdown) => sum + breakdown.total, 0);
+    });
+
+    const operationsUsed = Object.values(engine.operationsUsed).filter(used => used).length;
+    const bonus = engine.cardStack.length * 50 + operationsUsed * 100;
+    assert.equal(events.length, 1);
+    assert.equal(events[0].payload.bonus, bonus);
+    assert.equal(engine.score, matchPoints + bonus);
+    assert.equal(engine.gameActive, false);
+    assert.equal(engine.gameStarted, false);
+});
+
+test('time attack is lost when the countdown runs out', () => {
+    const engine = createEngine(2);
+    const events = recordEvents(engine, ['gameLost']);
+    engine.setGameMode('timeAttack');
+    engine.start(7);
+
+    for (let second = 0; second < engine.getTimeLimit(); second++) {
+        engine.tick();
+    }
+    assert.deepEqual(events.map(event => event.payload.reason), ['time']);
+    assert.equal(engine.gameStarted, false);
+});
+
+test('limited moves is lost when the budget is spent', () => {
+    const engine = createEngine(2);
+    const events = recordEvents(engine, ['gameLost']);
+    engine.setGameMode('limitedMoves');
+    engine.start(7);
+
+    while (engine.gameStarted) {
+        const [first, second] = mismatchIndexes(engine);
+        engine.flip(first);
+        engine.flip(second);
+        engine.resolvePair();
+        engine.hideMismatch();
+    }
+    assert.equal(engine.moves, engine.getMoveBudget());
+    assert.deepEqual(events.map(event => event.payload.reason), ['moves']);
+});
+
+test('a hot-seat miss passes the turn and a match keeps it', () => {
+    const engine = createEngine(3);
+    engine.setPlayers(['Ada', 'Linus']);
+    engine.start(7);
+
+    const [first, second] = mismatchIndexes(engine);
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    engine.hideMismatch();
+    assert.equal(engine.getCurrentPlayer().name, 'Linus');
+
+    const [matchA, matchB] = pairIndexes(engine, engine.cardStack[0].id);
+    engine.flip(matchA);
+    engine.flip(matchB);
+    engine.resolvePair();
+    assert.equal(engine.getCurrentPlayer().name, 'Linus');
+    assert.equal(engine.players[1].pairs, 1);
+});
+
+test('a serialized game restores paused with the same board', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+    engine.flip(0);
+
+    const restored = createEngine(0);
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+
+    assert.equal(restored.gameStarted, true);
+    assert.equal(restored.gameActive, false);
+    assert.deepEqual(restored.gameCards.map(card => card.id), engine.gameCards.map(card => card.id));
+    assert.deepEqual(restored.flippedCards, [{ index: 0, wasSeen: false }]);
+});
+
+test('a game saved during a miss is not scored or passed on twice after restoring', () => {
+    const engine = createEngine(3);
+    engine.setPlayers(['Ada', 'Linus']);
+    engine.start(7);
+
+    // The second miss re-flips seen cards and is saved before the cards turn back over
+    const [first, second] = mismatchIndexes(engine);
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    engine.hideMismatch();
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    assert.ok(engine.pendingMismatch.penalty > 0);
+    const penalty = engine.pendingPenalty;
+
+    const restored = createEngine(0);
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    assert.deepEqual(restored.flippedCards, []);
+    restored.resume();
+    restored.hideMismatch();
+
+    assert.equal(restored.pendingPenalty, penalty);
+    assert.equal(restored.getCurrentPlayer().name, engine.getCurrentPlayer().name);
+    assert.equal(restored.gameCards[first].flipped, false);
+    assert.equal(restored.gameCards[second].flipped, false);
+});
+
+test('face-up cards keep their seen flag through a save', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+    const [first, second] = mismatchIndexes(engine);
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    engine.hideMismatch();
+    engine.flip(first);
+
+    const restored = createEngine(0);
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    assert.deepEqual(restored.flippedCards, [{ index: first, wasSeen: true }]);
+});
+
+test('a partner hint shows the other card of the face-up pair and is paid at the next match', () => {
+    const engine = createEngine(3);
+    engine.start(7);
+
+    const [first, second] = pairIndexes(engine, engine.cardStack[0].id);
+    assert.equal(engine.useHint('partner'), null); // Needs one face-up card
+    engine.flip(first);
+
+    const hint = engine.useHint('partner');
+    assert.deepEqual(hint.indexes, [second]);
+    assert.equal(hint.cost, engine.scoring.getHintCost('partner'));
+    assert.equal(hint.hintsLeft, engine.getHintLimit() - 1);
+
+    engine.flip(second);
+    engine.resolvePair();
+    assert.equal(engine.matchBreakdown[0].hint, hint.cost);
+    assert.equal(engine.pendingHintCost, 0);
+});
+
+test('an overview hint shows every face-down card and hints run out', () => {
+    const engine = createEngine(3, { hints: { ...gameData.gameConfig.hints, maxPerGame: 1 } });
+    engine.start(7);
+
+    const hint = engine.useHint('overview');
+    assert.equal(hint.indexes.length, engine.gameCards.length);
+    assert.equal(engine.getHintsLeft(), 0);
+    assert.equal(engine.useHint('overview'), null);
+    assert.equal(engine.hintsUsed, 1);
+});
+
+test('triplets deal three copies and need all three face up', () => {
+    const engine = createEngine(3);
+    engine.setVariant({ matchSize: 3 });
+    engine.start(7);
+
+    assert.equal(engine.gameCards.length, 9);
+    const [first, second, third] = pairIndexes(engine, engine.cardStack[0].id);
+    engine.flip(first);
+    engine.flip(second);
+    assert.equal(engine.moves, 0);
+    assert.equal(engine.resolvePair(), null);
+    engine.flip(third);
+    assert.equal(engine.moves, 1);
+    assert.equal(engine.resolvePair(), 'match');
+    assert.equal(engine.matchedPairs, 1);
+});
+
+test('the color rule matches different cards of the same color', () => {
+    const engine = createEngine(0);
+    const red = { ...gameData.cardData[0], color: '#FF0000' };
+    const alsoRed = { ...gameData.cardData[1], color: '#ff0000' };
+    engine.addCard(red);
+    engine.addCard(alsoRed);
+    engine.setVariant({ matchRule: 'color' });
+    engine.start(7);
+
+    const first = engine.gameCards.findIndex(card => card.pairId === red.id);
+    const second = engine.gameCards.findIndex(card => card.pairId === alsoRed.id);
+    engine.flip(first);
+    engine.flip(second);
+    assert.equal(engine.resolvePair(), 'match');
+});
+
+test('variants cannot change during a game or take unknown values', () => {
+    const engine = createEngine(3);
+    assert.equal(engine.setVariant({ matchSize: 5 }), false);
+    assert.equal(engine.setVariant({ matchRule: 'shape' }), false);
+    engine.start(7);
+    assert.equal(engine.setVariant({ matchSize: 3 }), false);
+    assert.deepEqual(engine.variant, GameEngine.DEFAULT_VARIANT);
+});
+
+test('a board bigger than maxCards does not start', () => {
+    const engine = createEngine(4, { maxCards: 12 });
+    engine.setVariant({ matchSize: 4 });
+
+    assert.equal(engine.start(7), false);
+    engine.setVariant({ matchSize: 3 });
+    assert.equal(engine.start(7), true);
+});
+
+test('a shifting board moves the unmatched cards every N moves', () => {
+    const engine = createEngine(4);
+    const events = recordEvents(engine, ['reshuffled']);
+    engine.setVariant({ shiftEvery: 2 });
+    engine.start(7);
+
+    const [first, second] = mismatchIndexes(engine);
+    engine.flip(first);
+    engine.flip(second);
+    engine.resolvePair();
+    engine.hideMismatch();
+    assert.equal(events.length, 0);
+
+    const [matchA, matchB] = pairIndexes(engine, engine.cardStack[0].id);
+    engine.flip(matchA);
+    engine.flip(matchB);
+    engine.resolvePair();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].payload.reason, 'shift');
+    assert.equal(events[0].payload.count, engine.gameCards.length - 2);
+    assert.equal(engine.gameCards[matchA].matched, true); // Matched cards stay put
+});
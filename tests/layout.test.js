@@ -0,0 +1,44 @@
+// Unit tests for the board layout engine
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BoardLayout = require('../layout.js');
+
+test('wide areas get more columns than tall ones', () => {
+    const wide = BoardLayout.compute(24, 1200, 500, { gap: 8 });
+    const tall = BoardLayout.compute(24, 400, 900, { gap: 8 });
+
+    assert.ok(wide.columns > wide.rows);
+    assert.ok(tall.rows > tall.columns);
+    assert.equal(wide.columns * wide.rows >= 24, true);
+});
+
+test('the cards fit the area without scrolling', () => {
+    [[12, 800, 600], [48, 800, 600], [48, 360, 640], [48, 640, 360]].forEach(([count, width, height]) => {
+        const gap = 4;
+        const { columns, rows, cardSize } = BoardLayout.compute(count, width, height, { gap });
+        assert.ok(columns * cardSize + (columns - 1) * gap <= width, `${count} cards in ${width}x${height} fit across`);
+        assert.ok(rows * cardSize + (rows - 1) * gap <= height, `${count} cards in ${width}x${height} fit down`);
+    });
+});
+
+test('an even grid wins when it is as good as a ragged one', () => {
+    const layout = BoardLayout.compute(12, 600, 600, { gap: 0 });
+
+    assert.equal(layout.columns * layout.rows, 12);
+});
+
+test('zoom scales the cards within the size limits', () => {
+    const fitted = BoardLayout.compute(16, 800, 800, { gap: 8 });
+    const zoomed = BoardLayout.compute(16, 800, 800, { gap: 8, zoom: 1.5 });
+    const tiny = BoardLayout.compute(48, 200, 200, { gap: 4, zoom: 0.1 });
+
+    assert.equal(zoomed.columns, fitted.columns);
+    assert.ok(zoomed.cardSize > fitted.cardSize);
+    assert.ok(zoomed.cardSize <= BoardLayout.CARD_SIZE.max * 1.5);
+    assert.equal(tiny.cardSize, BoardLayout.CARD_SIZE.min);
+    assert.equal(BoardLayout.clampZoom(10), BoardLayout.ZOOM.max);
+    assert.equal(BoardLayout.clampZoom(0), BoardLayout.ZOOM.min);
+});
@@ -0,0 +1,48 @@
+// Unit tests for the local leaderboard
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The leaderboard is kept in localStorage in the browser
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+// The browser loads the engine (for variant keys) as a global through a script tag
+global.GameEngine = require('../engine.js');
+const Leaderboard = require('../leaderboard.js');
+
+function createLeaderboard() {
+    Object.keys(store).forEach(key => delete store[key]);
+    return new Leaderboard();
+}
+
+function entry(changes = {}) {
+    return { player: 'Ada', score: 500, moves: 8, time: 40, pairs: 4, mode: 'classic', ...changes };
+}
+
+test('games are ranked by score, then fewer moves, then less time', () => {
+    const leaderboard = createLeaderboard();
+    leaderboard.addEntry(entry({ score: 400 }));
+    leaderboard.addEntry(entry({ score: 500, moves: 10 }));
+    leaderboard.addEntry(entry({ score: 500, moves: 8, player: 'Linus' }));
+
+    assert.deepEqual(leaderboard.getTop(3).map(record => record.player), ['Linus', 'Ada', 'Ada']);
+    assert.deepEqual(leaderboard.getPlayers(), ['Ada', 'Linus']);
+});
+
+test('variants are ranked apart, and older entries count as plain pairs', () => {
+    const leaderboard = createLeaderboard();
+    const triplets = { matchSize: 3, matchRule: 'identical', shiftEvery: 0 };
+    leaderboard.addEntry(entry({ score: 900, variant: triplets }));
+    leaderboard.addEntry(entry({ score: 500 }));
+    store.stackMemoryLeaderboard = JSON.stringify([...JSON.parse(store.stackMemoryLeaderboard), { ...entry({ score: 700 }), date: '2024-01-01' }]);
+
+    const pairsKey = GameEngine.getVariantKey();
+    assert.deepEqual(leaderboard.getTop(10, { variant: pairsKey }).map(record => record.score), [700, 500]);
+    assert.equal(leaderboard.getBestScore({ variant: GameEngine.getVariantKey(triplets) }), 900);
+    assert.deepEqual(leaderboard.getVariants(), ['2-identical-0', '3-identical-0']);
+});
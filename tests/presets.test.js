@@ -0,0 +1,84 @@
+// Unit tests for stack presets
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Presets are kept in localStorage in the browser
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+const PresetManager = require('../presets.js');
+
+const deck = Array.from({ length: 30 }, (_, i) => ({
+    id: i + 1,
+    name: `Card ${i + 1}`,
+    rarity: i % 10 === 0 ? 'legendary' : 'common'
+}));
+
+function createManager() {
+    Object.keys(store).forEach(key => delete store[key]);
+    return new PresetManager();
+}
+
+test('built-in presets pick cards from the deck and are read-only', () => {
+    const presets = createManager();
+
+    assert.deepEqual(presets.resolve('Quick 4', deck, 24).cards.map(card => card.id), [1, 2, 3, 4]);
+    assert.deepEqual(presets.resolve('All Legendary', deck, 24).cards.map(card => card.id), [1, 11, 21]);
+    assert.equal(presets.resolve('Max 24', deck, 24).cards.length, 24);
+    assert.deepEqual(presets.resolve('Max 24', deck, 10), { cards: deck.slice(0, 10), missing: 0, truncated: 0, otherDeck: null });
+    assert.throws(() => presets.savePreset('Quick 4', deck.slice(0, 2)), /built-in preset/);
+});
+
+test('saved presets can be renamed and deleted', () => {
+    const presets = createManager();
+    presets.savePreset('  Mine ', deck.slice(0, 3), 'Default');
+    presets.savePreset('Other', deck.slice(3, 5));
+
+    assert.throws(() => presets.savePreset('   ', deck), /cannot be empty/);
+    assert.throws(() => presets.savePreset('Empty', []), /no cards/);
+    assert.throws(() => presets.renamePreset('Mine', 'Other'), /already exists/);
+
+    assert.equal(presets.renamePreset('Mine', 'Renamed'), 'Renamed');
+    assert.deepEqual(presets.getPreset('Renamed').cardIds, [1, 2, 3]);
+    presets.deletePreset('Other');
+    assert.deepEqual(presets.getNames(), [...Object.keys(PresetManager.BUILT_IN), 'Renamed']);
+});
+
+test('loading respects the deck and the stack size limit', () => {
+    const presets = createManager();
+    presets.savePreset('Big', [...deck, { id: 99 }]);
+
+    assert.deepEqual(
+        presets.resolve('Big', deck, 10),
+        { cards: deck.slice(0, 10), missing: 1, truncated: 20, otherDeck: null }
+    );
+    assert.equal(presets.resolve('Quick 4', deck, 2).truncated, 2);
+});
+
+test('a preset saved on another deck loads nothing and names that deck', () => {
+    const presets = createManager();
+    presets.savePreset('Mine', deck.slice(0, 3), 'Animals');
+
+    assert.deepEqual(presets.resolve('Mine', deck, 24, 'Animals').cards, deck.slice(0, 3));
+    assert.deepEqual(presets.resolve('Mine', deck, 24, 'Default'), { cards: [], missing: 0, truncated: 0, otherDeck: 'Animals' });
+    // Built-in presets pick from whichever deck is active
+    assert.equal(presets.resolve('Quick 4', deck, 24, 'Default').cards.length, 4);
+});
+
+test('presets survive an export and import round trip', () => {
+    const presets = createManager();
+    presets.savePreset('Mine', deck.slice(0, 3), 'Default');
+    const json = JSON.stringify(presets.exportPresets());
+
+    const imported = createManager();
+    assert.deepEqual(imported.importPresets(PresetManager.parsePresetFile(json, 'file')), ['Mine']);
+    assert.deepEqual(imported.getPreset('Mine').cardIds, [1, 2, 3]);
+    assert.deepEqual(PresetManager.parsePresetFile('{"cardIds":[5]}', 'single')[0].name, 'single');
+    assert.throws(() => PresetManager.parsePresetFile('{"presets":[{"name":"Max 24","cardIds":["x"]}]}'), /built-in[\s\S]*positive integers/);
+    assert.throws(() => PresetManager.parsePresetFile('nope'), /not valid JSON/);
+});
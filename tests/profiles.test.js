@@ -0,0 +1,94 @@
+// Unit tests for player profiles and lifetime stats
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Profiles are kept in localStorage in the browser
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+// The browser loads the engine (for variant keys) as a global through a script tag
+global.GameEngine = require('../engine.js');
+const ProfileManager = require('../profiles.js');
+
+function createManager() {
+    Object.keys(store).forEach(key => delete store[key]);
+    return new ProfileManager();
+}
+
+function game(changes = {}) {
+    return { mode: 'classic', won: true, score: 500, moves: 8, time: 40, pairs: 4, cards: [], ...changes };
+}
+
+test('profiles can be created, switched and deleted', () => {
+    const profiles = createManager();
+    profiles.createProfile('  Ada ');
+    profiles.createProfile('Linus');
+    profiles.setActive('Ada');
+
+    assert.deepEqual(profiles.getNames(), ['Ada', 'Linus']);
+    assert.equal(profiles.getActiveName(), 'Ada');
+    assert.throws(() => profiles.createProfile('   '), /cannot be empty/);
+
+    profiles.deleteProfile('Ada');
+    assert.equal(profiles.getActiveName(), null);
+    assert.deepEqual(profiles.getNames(), ['Linus']);
+});
+
+test('the name saved by older versions becomes the active profile', () => {
+    const profiles = createManager();
+    localStorage.setItem('stackMemoryPlayerName', 'Grace');
+    profiles.importLegacyName();
+
+    assert.equal(profiles.getActiveName(), 'Grace');
+    assert.equal(localStorage.getItem('stackMemoryPlayerName'), null);
+});
+
+test('finished games build win rates, moves per pair and best times', () => {
+    const profiles = createManager();
+    profiles.createProfile('Ada');
+    profiles.recordGame('Ada', game({ moves: 8, pairs: 4, time: 40 }));
+    profiles.recordGame('Ada', game({ moves: 12, pairs: 4, time: 30 }));
+    profiles.recordGame('Ada', game({ mode: 'timeAttack', won: false, moves: 3, time: 32 }));
+
+    const summary = ProfileManager.summarize(profiles.getProfile('Ada').stats);
+    assert.equal(summary.gamesPlayed, 3);
+    assert.equal(summary.won, 2);
+    assert.equal(summary.winRates.classic, 1);
+    assert.equal(summary.winRates.timeAttack, 0);
+    assert.equal(summary.averageMovesPerPair, 20 / 8); // Lost games are left out
+    assert.deepEqual(summary.bestTimes, { 4: 30 });
+    assert.deepEqual(summary.recentScores, [500, 500, 500]);
+});
+
+test('best times are kept apart per variant', () => {
+    const profiles = createManager();
+    profiles.createProfile('Ada');
+    profiles.recordGame('Ada', game({ pairs: 4, time: 40 }));
+    profiles.recordGame('Ada', game({ pairs: 4, time: 25, variant: { matchSize: 3, matchRule: 'identical', shiftEvery: 0 } }));
+    profiles.recordGame('Ada', game({ pairs: 4, time: 35, variant: { matchSize: 2, matchRule: 'identical', shiftEvery: 0 } }));
+
+    assert.deepEqual(ProfileManager.summarize(profiles.getProfile('Ada').stats).bestTimes, { 4: 35, '4:3-identical-0': 25 });
+});
+
+test('favorite cards and operation counts are tallied', () => {
+    const profiles = createManager();
+    profiles.createProfile('Ada');
+    const heart = { id: 1, name: 'pixel-heart', icon: '❤️' };
+    const star = { id: 2, name: 'pixel-star', icon: '⭐' };
+    profiles.recordGame('Ada', game({ cards: [heart, star] }));
+    profiles.recordGame('Ada', game({ cards: [heart] }));
+    profiles.recordOperation('Ada', 'push');
+    profiles.recordOperation('Ada', 'push');
+    profiles.recordOperation('Ada', 'dequeue');
+    profiles.recordOperation('Nobody', 'push'); // Unknown players are ignored
+
+    const summary = ProfileManager.summarize(profiles.getProfile('Ada').stats);
+    assert.deepEqual(summary.favoriteCards.map(card => [card.name, card.count]), [['pixel-heart', 2], ['pixel-star', 1]]);
+    assert.deepEqual(summary.operations, { push: 2, dequeue: 1 });
+    assert.equal(profiles.getProfile('Nobody'), null);
+});
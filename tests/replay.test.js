@@ -0,0 +1,48 @@
+// Unit tests for replay file validation
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser loads these as globals through script tags
+const { SeededRandom, GameCode } = require('../random.js');
+global.SeededRandom = SeededRandom;
+global.GameCode = GameCode;
+global.CardContainer = require('../containers.js');
+global.ScoringSystem = require('../scoring.js');
+global.GameEngine = require('../engine.js');
+global.DeckManager = require('../decks.js');
+const { GameReplay } = require('../replay.js');
+
+// Replay of a two-card board with one matching flip pair
+function replay(cardChanges = {}) {
+    const card = { pairId: 1, name: 'Star', icon: '⭐', color: '#FFC107', points: 10, rarity: 'common', ...cardChanges };
+    const gameCards = [{ ...card, id: '1_1' }, { ...card, id: '1_2' }];
+    const data = GameReplay.create({ player: 'Tester', mode: 'classic', gameCode: null, gameCards });
+    data.events = [{ type: 'flip', index: 0, t: 0 }, { type: 'flip', index: 1, t: 500 }];
+    return JSON.parse(JSON.stringify(data));
+}
+
+test('a recorded replay passes validation', () => {
+    const data = replay();
+    assert.equal(GameReplay.validate(data), data);
+});
+
+test('replay cards must pass the deck card checks', () => {
+    assert.throws(() => GameReplay.validate(replay({ image: 'x" onerror="alert(1)' })), /Replay card #1 image must be a base64 image data URL/);
+    assert.throws(() => GameReplay.validate(replay({ color: 'red;background:url(x)' })), /Replay card #1 color/);
+    assert.throws(() => GameReplay.validate(replay({ name: '' })), /Replay card #1 name/);
+    assert.throws(() => GameReplay.validate(replay({ pairId: 'x' })), /Replay card #1 id/);
+});
+
+test('replays need a player name and a date', () => {
+    assert.throws(() => GameReplay.validate({ ...replay(), date: undefined }), /player name and a date/);
+    assert.throws(() => GameReplay.validate({ ...replay(), date: 'yesterday' }), /player name and a date/);
+    assert.throws(() => GameReplay.validate({ ...replay(), player: 42 }), /player name and a date/);
+});
+
+test('flip events must point at a card on the board', () => {
+    const data = replay();
+    data.events.push({ type: 'flip', index: 2, t: 900 });
+    assert.throws(() => GameReplay.validate(data), /Event 3 flips a card that does not exist/);
+});
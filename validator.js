@@ -0,0 +1,385 @@
+// Schema validation for data.json in Stack Memory Game
+// Reports precise problems and merges whatever is valid over the built-in defaults
+
+class GameDataValidator {
+    constructor(defaults) {
+        this.defaults = defaults;
+        this.problems = [];
+    }
+
+    // Validate loaded data against defaults, returning { data, problems }
+    static validate(loaded, defaults) {
+        const validator = new GameDataValidator(defaults);
+        const data = validator.validateData(loaded);
+        return { data, problems: validator.problems };
+    }
+
+    // Record a problem ('error' drops or replaces the value, 'warning' keeps going)
+    report(level, path, message) {
+        this.problems.push({ level, path, message });
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Deep copy of JSON-compatible data
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Validate the whole document
+    validateData(loaded) {
+        if (!this.isPlainObject(loaded)) {
+            this.report('error', 'data.json', 'Top level must be an object. Using built-in defaults.');
+            return this.clone(this.defaults);
+        }
+
+        const data = {
+            ...loaded,
+            gameConfig: this.validateGameConfig(loaded.gameConfig),
+            cardData: this.validateCardData(loaded.cardData),
+            playerSettings: this.validatePlayerSettings(loaded.playerSettings),
+            stackInstructions: this.validateInstructions(loaded.stackInstructions),
+            achievements: this.validateAchievements(loaded.achievements)
+        };
+
+        if (data.cardData.length < data.gameConfig.minCards) {
+            this.report('warning', 'cardData',
+                `Only ${data.cardData.length} valid cards, fewer than minCards (${data.gameConfig.minCards}). Games cannot start.`);
+        }
+
+        return data;
+    }
+
+    // Check a number field; returns the value if valid, otherwise the default
+    checkNumber(value, fallback, path, { integer = false, min = -Infinity } = {}) {
+        if (value === undefined) {
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.report('error', path, `Must be a number, got ${JSON.stringify(value)}. Using ${fallback}.`);
+            return fallback;
+        }
+        if (integer && !Number.isInteger(value)) {
+            this.report('error', path, `Must be a whole number, got ${value}. Using ${fallback}.`);
+            return fallback;
+        }
+        if (value < min) {
+            this.report('error', path, `Must be at least ${min}, got ${value}. Using ${fallback}.`);
+            return fallback;
+        }
+        return value;
+    }
+
+    // Validate gameConfig ranges, merging over the default config
+    validateGameConfig(config) {
+        const defaults = this.defaults.gameConfig;
+
+        if (config === undefined) {
+            this.report('warning', 'gameConfig', 'Missing. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+        if (!this.isPlainObject(config)) {
+            this.report('error', 'gameConfig', 'Must be an object. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+
+        const merged = { ...this.clone(defaults), ...config };
+
+        merged.maxCards = this.checkNumber(config.maxCards, defaults.maxCards, 'gameConfig.maxCards', { integer: true, min: 2 });
+        merged.minCards = this.checkNumber(config.minCards, defaults.minCards, 'gameConfig.minCards', { integer: true, min: 1 });
+        merged.defaultCards = this.checkNumber(config.defaultCards, defaults.defaultCards, 'gameConfig.defaultCards', { integer: true, min: 0 });
+        merged.flipDuration = this.checkNumber(config.flipDuration, defaults.flipDuration, 'gameConfig.flipDuration', { min: 1 });
+        merged.matchDelay = this.checkNumber(config.matchDelay, defaults.matchDelay, 'gameConfig.matchDelay', { min: 1 });
+        merged.scoreMultiplier = this.checkNumber(config.scoreMultiplier, defaults.scoreMultiplier, 'gameConfig.scoreMultiplier', { min: 0 });
+        merged.timeBonus = this.checkNumber(config.timeBonus, defaults.timeBonus, 'gameConfig.timeBonus', { min: 0 });
+
+        merged.stackOperations = this.validateStackOperations(config.stackOperations);
+        merged.difficultyModes = this.validateDifficultyModes(config.difficultyModes);
+        merged.scoring = this.validateScoring(config.scoring);
+        merged.hints = this.validateHints(config.hints);
+
+        // Cross-field ranges: minCards <= defaultCards <= maxStackSize
+        const stackOps = merged.stackOperations;
+        if (merged.minCards > stackOps.maxStackSize) {
+            this.report('error', 'gameConfig.minCards',
+                `minCards (${merged.minCards}) is larger than maxStackSize (${stackOps.maxStackSize}). Using defaults ${defaults.minCards} and ${defaults.stackOperations.maxStackSize}.`);
+            merged.minCards = defaults.minCards;
+            stackOps.maxStackSize = defaults.stackOperations.maxStackSize;
+        }
+        if (merged.defaultCards < merged.minCards || merged.defaultCards > stackOps.maxStackSize) {
+            const clamped = Math.min(Math.max(merged.defaultCards, merged.minCards), stackOps.maxStackSize);
+            this.report('error', 'gameConfig.defaultCards',
+                `defaultCards (${merged.defaultCards}) must be between minCards (${merged.minCards}) and maxStackSize (${stackOps.maxStackSize}). Using ${clamped}.`);
+            merged.defaultCards = clamped;
+        }
+        if (stackOps.maxStackSize * 2 > merged.maxCards) {
+            this.report('warning', 'gameConfig.maxCards',
+                `maxCards (${merged.maxCards}) is smaller than two cards per stack slot (${stackOps.maxStackSize * 2}).`);
+        }
+
+        return merged;
+    }
+
+    // Validate gameConfig.stackOperations
+    validateStackOperations(stackOps) {
+        const defaults = this.defaults.gameConfig.stackOperations;
+
+        if (stackOps === undefined) {
+            return this.clone(defaults);
+        }
+        if (!this.isPlainObject(stackOps)) {
+            this.report('error', 'gameConfig.stackOperations', 'Must be an object. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+
+        return {
+            ...defaults,
+            ...stackOps,
+            pushAnimation: this.checkNumber(stackOps.pushAnimation, defaults.pushAnimation, 'gameConfig.stackOperations.pushAnimation', { min: 1 }),
+            popAnimation: this.checkNumber(stackOps.popAnimation, defaults.popAnimation, 'gameConfig.stackOperations.popAnimation', { min: 1 }),
+            maxStackSize: this.checkNumber(stackOps.maxStackSize, defaults.maxStackSize, 'gameConfig.stackOperations.maxStackSize', { integer: true, min: 1 })
+        };
+    }
+
+    // Validate gameConfig.difficultyModes
+    validateDifficultyModes(modes) {
+        const defaults = this.defaults.gameConfig.difficultyModes;
+
+        if (modes === undefined) {
+            return this.clone(defaults);
+        }
+        if (!this.isPlainObject(modes)) {
+            this.report('error', 'gameConfig.difficultyModes', 'Must be an object. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+
+        const timeAttack = this.isPlainObject(modes.timeAttack) ? modes.timeAttack : {};
+        const limitedMoves = this.isPlainObject(modes.limitedMoves) ? modes.limitedMoves : {};
+
+        return {
+            ...this.clone(defaults),
+            ...modes,
+            timeAttack: {
+                ...timeAttack,
+                secondsPerPair: this.checkNumber(timeAttack.secondsPerPair, defaults.timeAttack.secondsPerPair,
+                    'gameConfig.difficultyModes.timeAttack.secondsPerPair', { min: 1 })
+            },
+            limitedMoves: {
+                ...limitedMoves,
+                movesPerPair: this.checkNumber(limitedMoves.movesPerPair, defaults.limitedMoves.movesPerPair,
+                    'gameConfig.difficultyModes.limitedMoves.movesPerPair', { integer: true, min: 1 })
+            }
+        };
+    }
+
+    // Validate gameConfig.scoring (rarity tables and bonus amounts)
+    validateScoring(scoring) {
+        const defaults = this.defaults.gameConfig.scoring;
+
+        if (scoring === undefined) {
+            return this.clone(defaults);
+        }
+        if (!this.isPlainObject(scoring)) {
+            this.report('error', 'gameConfig.scoring', 'Must be an object. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+
+        const merged = { ...this.clone(defaults), ...scoring };
+
+        ['rarityMultipliers', 'rarityWeights'].forEach(table => {
+            const values = scoring[table];
+            if (values === undefined) return;
+            if (!this.isPlainObject(values)) {
+                this.report('error', `gameConfig.scoring.${table}`, 'Must be an object. Using built-in defaults.');
+                merged[table] = this.clone(defaults[table]);
+                return;
+            }
+
+            merged[table] = { ...this.clone(defaults[table]) };
+            Object.keys(values).forEach(rarity => {
+                const path = `gameConfig.scoring.${table}.${rarity}`;
+                if (!DeckManager.RARITIES.includes(rarity)) {
+                    this.report('warning', path, `Unknown rarity "${rarity}" is ignored.`);
+                    return;
+                }
+                merged[table][rarity] = this.checkNumber(values[rarity], defaults[table][rarity], path, { min: 0 });
+            });
+        });
+
+        merged.comboBonus = this.checkNumber(scoring.comboBonus, defaults.comboBonus, 'gameConfig.scoring.comboBonus', { min: 0 });
+        merged.seenPenalty = this.checkNumber(scoring.seenPenalty, defaults.seenPenalty, 'gameConfig.scoring.seenPenalty', { min: 0 });
+        merged.speedWindow = this.checkNumber(scoring.speedWindow, defaults.speedWindow, 'gameConfig.scoring.speedWindow', { min: 0 });
+
+        if (scoring.hintCosts !== undefined) {
+            if (!this.isPlainObject(scoring.hintCosts)) {
+                this.report('error', 'gameConfig.scoring.hintCosts', 'Must be an object. Using built-in defaults.');
+                merged.hintCosts = this.clone(defaults.hintCosts);
+            } else {
+                merged.hintCosts = { ...this.clone(defaults.hintCosts) };
+                Object.keys(scoring.hintCosts).forEach(type => {
+                    const path = `gameConfig.scoring.hintCosts.${type}`;
+                    if (!(type in defaults.hintCosts)) {
+                        this.report('warning', path, `Unknown hint type "${type}" is ignored.`);
+                        return;
+                    }
+                    merged.hintCosts[type] = this.checkNumber(scoring.hintCosts[type], defaults.hintCosts[type], path, { min: 0 });
+                });
+            }
+        }
+
+        return merged;
+    }
+
+    // Validate gameConfig.hints (limit per game and how long each hint shows cards)
+    validateHints(hints) {
+        const defaults = this.defaults.gameConfig.hints;
+
+        if (hints === undefined) {
+            return this.clone(defaults);
+        }
+        if (!this.isPlainObject(hints)) {
+            this.report('error', 'gameConfig.hints', 'Must be an object. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+
+        return {
+            ...defaults,
+            ...hints,
+            maxPerGame: this.checkNumber(hints.maxPerGame, defaults.maxPerGame, 'gameConfig.hints.maxPerGame', { integer: true, min: 0 }),
+            partnerDuration: this.checkNumber(hints.partnerDuration, defaults.partnerDuration, 'gameConfig.hints.partnerDuration', { min: 1 }),
+            overviewDuration: this.checkNumber(hints.overviewDuration, defaults.overviewDuration, 'gameConfig.hints.overviewDuration', { min: 1 })
+        };
+    }
+
+    // Validate cardData, dropping invalid or duplicate cards
+    validateCardData(cards) {
+        if (cards === undefined) {
+            this.report('warning', 'cardData', 'Missing. Using built-in cards.');
+            return this.clone(this.defaults.cardData);
+        }
+        if (!Array.isArray(cards)) {
+            this.report('error', 'cardData', 'Must be an array. Using built-in cards.');
+            return this.clone(this.defaults.cardData);
+        }
+
+        const seenIds = new Set();
+        const validCards = cards.filter((card, index) => {
+            const path = `cardData[${index}]`;
+            const errors = DeckManager.validateCard(card, 'Card');
+            if (errors.length > 0) {
+                errors.forEach(message => this.report('error', path, `${message}. Card skipped.`));
+                return false;
+            }
+            if (seenIds.has(card.id)) {
+                this.report('error', path, `Duplicate card id ${card.id}. Card skipped.`);
+                return false;
+            }
+            seenIds.add(card.id);
+            return true;
+        });
+
+        if (validCards.length === 0) {
+            this.report('error', 'cardData', 'No valid cards. Using built-in cards.');
+            return this.clone(this.defaults.cardData);
+        }
+
+        return validCards;
+    }
+
+    // Validate playerSettings, keeping only values of the expected type
+    validatePlayerSettings(settings) {
+        const defaults = this.defaults.playerSettings;
+
+        if (settings === undefined) {
+            return this.clone(defaults);
+        }
+        if (!this.isPlainObject(settings)) {
+            this.report('error', 'playerSettings', 'Must be an object. Using built-in defaults.');
+            return this.clone(defaults);
+        }
+
+        const merged = { ...this.clone(defaults), ...settings };
+        Object.keys(defaults).forEach(key => {
+            if (settings[key] !== undefined && typeof settings[key] !== typeof defaults[key]) {
+                this.report('error', `playerSettings.${key}`,
+                    `Must be a ${typeof defaults[key]}, got ${JSON.stringify(settings[key])}. Using ${JSON.stringify(defaults[key])}.`);
+                merged[key] = defaults[key];
+            }
+        });
+
+        return merged;
+    }
+
+    // Validate stackInstructions (an array of strings)
+    validateInstructions(instructions) {
+        if (instructions === undefined) {
+            return this.clone(this.defaults.stackInstructions);
+        }
+        if (!Array.isArray(instructions) || instructions.some(line => typeof line !== 'string')) {
+            this.report('error', 'stackInstructions', 'Must be an array of strings. Using built-in instructions.');
+            return this.clone(this.defaults.stackInstructions);
+        }
+        return instructions;
+    }
+
+    // Validate achievements, dropping invalid definitions
+    validateAchievements(achievements) {
+        if (achievements === undefined) {
+            this.report('warning', 'achievements', 'Missing. Using built-in achievements.');
+            return this.clone(this.defaults.achievements);
+        }
+        if (!Array.isArray(achievements)) {
+            this.report('error', 'achievements', 'Must be an array. Using built-in achievements.');
+            return this.clone(this.defaults.achievements);
+        }
+
+        const triggers = ['gameComplete', 'stackOperation'];
+        const operators = Object.keys(AchievementEngine.OPERATORS);
+        const seenIds = new Set();
+
+        return achievements.filter((achievement, index) => {
+            const path = `achievements[${index}]`;
+            const errors = [];
+
+            if (!this.isPlainObject(achievement)) {
+                this.report('error', path, 'Must be an object. Achievement skipped.');
+                return false;
+            }
+            if (typeof achievement.id !== 'string' || achievement.id.length === 0) {
+                errors.push('id must be a non-empty string');
+            } else if (seenIds.has(achievement.id)) {
+                errors.push(`duplicate id "${achievement.id}"`);
+            }
+            if (typeof achievement.name !== 'string' || achievement.name.length === 0) {
+                errors.push('name must be a non-empty string');
+            }
+            if (achievement.reward !== undefined && (typeof achievement.reward !== 'number' || achievement.reward < 0)) {
+                errors.push('reward must be a non-negative number');
+            }
+            if (achievement.trigger !== undefined && !triggers.includes(achievement.trigger)) {
+                errors.push(`trigger must be one of: ${triggers.join(', ')}`);
+            }
+            if (!Array.isArray(achievement.conditions) || achievement.conditions.length === 0) {
+                errors.push('conditions must be a non-empty array');
+            } else {
+                achievement.conditions.forEach((condition, conditionIndex) => {
+                    if (!this.isPlainObject(condition) || typeof condition.stat !== 'string') {
+                        errors.push(`conditions[${conditionIndex}].stat must be a string`);
+                    } else if (condition.op !== undefined && !operators.includes(condition.op)) {
+                        errors.push(`conditions[${conditionIndex}].op must be one of: ${operators.join(' ')}`);
+                    }
+                });
+            }
+
+            if (errors.length > 0) {
+                errors.forEach(message => this.report('error', path, `${message}. Achievement skipped.`));
+                return false;
+            }
+
+            seenIds.add(achievement.id);
+            return true;
+        });
+    }
+}
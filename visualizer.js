@@ -0,0 +1,111 @@
+// Pseudo-code pane for Stack Memory Game
+// Shows the code behind each container operation and steps through it in time with the animation
+
+class OperationVisualizer {
+    constructor(paneEl) {
+        this.paneEl = paneEl;
+        this.timeouts = [];
+    }
+
+    // Pseudo-code for an operation; pointer is "top" for stacks and "front"/"back" otherwise
+    static getPseudoCode(operation, mode) {
+        const pointer = mode === 'stack' ? 'top' : operation.end;
+        const name = operation.id;
+
+        if (operation.kind === 'add') {
+            return [
+                `procedure ${name}(container, card)`,
+                '  if size = capacity then error "Overflow"',
+                `  ${pointer} ← ${pointer} ${operation.end === 'front' ? '-' : '+'} 1`,
+                `  container[${pointer}] ← card`,
+                '  size ← size + 1'
+            ];
+        }
+
+        if (operation.kind === 'remove') {
+            return [
+                `function ${name}(container)`,
+                '  if size = 0 then error "Underflow"',
+                `  card ← container[${pointer}]`,
+                `  ${pointer} ← ${pointer} ${operation.end === 'front' ? '+' : '-'} 1`,
+                '  size ← size - 1',
+                '  return card'
+            ];
+        }
+
+        if (operation.kind === 'peek') {
+            return [
+                `function ${name}(container)`,
+                '  if size = 0 then error "Empty"',
+                `  return container[${pointer}]`
+            ];
+        }
+
+        if (operation.id === 'reverse') {
+            return [
+                'procedure reverse(container)',
+                '  i ← bottom, j ← top',
+                '  while i < j do swap container[i], container[j]',
+                '    i ← i + 1, j ← j - 1'
+            ];
+        }
+
+        if (operation.id === 'sortByPoints') {
+            return [
+                'procedure sortByPoints(container)',
+                '  for i ← 1 to size - 1 do',
+                '    insert container[i] among container[0..i-1] by points',
+                '  highest points end up on top'
+            ];
+        }
+
+        if (operation.id === 'shuffle') {
+            return [
+                'procedure shuffle(container)',
+                '  for i ← size - 1 down to 1 do',
+                '    j ← random(0..i)',
+                '    swap container[i], container[j]'
+            ];
+        }
+
+        return [
+            'procedure clear(container)',
+            '  if size = 0 then return',
+            '  discard every card',
+            '  size ← 0'
+        ];
+    }
+
+    // Stop any pending line highlights
+    cancel() {
+        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.timeouts = [];
+    }
+
+    // Render the code and highlight one line per lineDuration ms
+    // When failed is true, execution stops on the guard line (line 2)
+    run(lines, lineDuration, failed = false) {
+        if (!this.paneEl) return;
+
+        this.cancel();
+        this.paneEl.innerHTML = '';
+        const lineEls = lines.map(line => {
+            const lineEl = document.createElement('div');
+            lineEl.className = 'pseudo-code-line';
+            lineEl.textContent = line;
+            this.paneEl.appendChild(lineEl);
+            return lineEl;
+        });
+
+        const lastLine = failed ? 1 : lineEls.length - 1;
+        for (let i = 0; i <= lastLine; i++) {
+            this.timeouts.push(setTimeout(() => {
+                lineEls.forEach(lineEl => lineEl.classList.remove('active'));
+                lineEls[i].classList.add('active');
+                if (failed && i === lastLine) {
+                    lineEls[i].classList.add('failed');
+                }
+            }, lineDuration * i));
+        }
+    }
+}